@@ -0,0 +1,289 @@
+// Chunk Format - Compact typed-array chunk storage shared by the main thread and the chunk workers
+// A chunk is a plain object (so it survives postMessage without rehydration):
+//   { chunkX, chunkZ, size, height, palette, indices, heightMap, biomeMap, light }
+// palette lists the distinct block values in the chunk (palette[0] is always air) and
+// indices holds one palette index per block at (x * size + z) * height + y, so a column is contiguous.
+// indices is a Uint8Array until the palette outgrows 256 entries, then a Uint16Array.
+// A block value is a 12-bit block id; the bits above it hold per-block state (a fluid's level),
+// so the same block with different states takes separate palette entries.
+// light is the chunk's Uint8Array of sky and block light levels (see chunkLight.js), or null until
+// a worker lights the chunk; it isn't saved, since it can always be recomputed from the blocks.
+// Posting a chunk with ChunkFormat.getTransferables(chunk) moves its buffers without copying;
+// use ChunkFormat.clone first when the sender keeps using the chunk.
+
+const ChunkFormat = {
+    ID_MASK: 0xFFF,
+    STATE_SHIFT: 12,
+
+    // palette -> Map(value -> palette index), built on first write
+    lookups: new WeakMap(),
+
+    create(cx, cz, size, height) {
+        return {
+            chunkX: cx,
+            chunkZ: cz,
+            size,
+            height,
+            palette: [0],
+            indices: new Uint8Array(size * size * height),
+            heightMap: new Uint16Array(size * size),
+            biomeMap: null,
+            light: null
+        };
+    },
+
+    index(chunk, x, y, z) {
+        return (x * chunk.size + z) * chunk.height + y;
+    },
+
+    get(chunk, x, y, z) {
+        if (x < 0 || x >= chunk.size || z < 0 || z >= chunk.size || y < 0 || y >= chunk.height) return 0;
+        return chunk.palette[chunk.indices[(x * chunk.size + z) * chunk.height + y]];
+    },
+
+    set(chunk, x, y, z, value) {
+        if (x < 0 || x >= chunk.size || z < 0 || z >= chunk.size || y < 0 || y >= chunk.height) return;
+        chunk.indices[(x * chunk.size + z) * chunk.height + y] = this.paletteIndex(chunk, value || 0);
+    },
+
+    blockId(value) {
+        return value & this.ID_MASK;
+    },
+
+    blockState(value) {
+        return value >>> this.STATE_SHIFT;
+    },
+
+    withState(id, state) {
+        return (id & this.ID_MASK) | (state << this.STATE_SHIFT);
+    },
+
+    // Palette index for a block value, adding it (and widening indices) when new
+    paletteIndex(chunk, value) {
+        let lookup = this.lookups.get(chunk.palette);
+        if (!lookup) {
+            lookup = new Map();
+            chunk.palette.forEach((v, i) => { if (!lookup.has(v)) lookup.set(v, i); });
+            this.lookups.set(chunk.palette, lookup);
+        }
+        let i = lookup.get(value);
+        if (i === undefined) {
+            i = chunk.palette.length;
+            chunk.palette.push(value);
+            lookup.set(value, i);
+            if (i > 0xFF && chunk.indices instanceof Uint8Array) chunk.indices = Uint16Array.from(chunk.indices);
+        }
+        return i;
+    },
+
+    // Highest non-air y of column (x, z), written to the heightMap and returned
+    updateHeight(chunk, x, z) {
+        const { indices, palette, height } = chunk;
+        const base = (x * chunk.size + z) * height;
+        let top = 0;
+        for (let y = height - 1; y > 0; y--) {
+            if (palette[indices[base + y]]) { top = y; break; }
+        }
+        chunk.heightMap[z * chunk.size + x] = top;
+        return top;
+    },
+
+    updateHeightMap(chunk) {
+        for (let x = 0; x < chunk.size; x++) {
+            for (let z = 0; z < chunk.size; z++) this.updateHeight(chunk, x, z);
+        }
+    },
+
+    clone(chunk) {
+        return {
+            chunkX: chunk.chunkX,
+            chunkZ: chunk.chunkZ,
+            size: chunk.size,
+            height: chunk.height,
+            palette: chunk.palette.slice(),
+            indices: chunk.indices.slice(),
+            heightMap: chunk.heightMap.slice(),
+            biomeMap: chunk.biomeMap ? chunk.biomeMap.slice() : null,
+            light: chunk.light ? chunk.light.slice() : null
+        };
+    },
+
+    // Approximate heap size of a chunk's arrays, for memory budgets
+    byteSize(chunk) {
+        return chunk.indices.byteLength + chunk.heightMap.byteLength +
+            (chunk.biomeMap ? chunk.biomeMap.byteLength : 0) + (chunk.light ? chunk.light.byteLength : 0) +
+            chunk.palette.length * 8;
+    },
+
+    getTransferables(chunk) {
+        const buffers = [chunk.indices.buffer, chunk.heightMap.buffer];
+        if (chunk.biomeMap) buffers.push(chunk.biomeMap.buffer);
+        if (chunk.light) buffers.push(chunk.light.buffer);
+        return buffers;
+    },
+
+    // ===== SERIALIZATION =====
+    // Saved form: { encoding, size, height, palette, data, heightMap, biomeMap } where data is base64 of
+    //   "rle":    varint pairs (palette index, run length) in index order
+    //   "packed": every palette index in ceil(log2(palette.length)) bits, least significant bit first
+    // whichever is smaller for this chunk. Terrain is mostly long vertical runs, so RLE usually wins;
+    // noisy chunks (caves, ores) fall back to bit packing.
+
+    serialize(chunk) {
+        const rle = this.encodeRle(chunk);
+        const packed = this.encodePacked(chunk);
+        const useRle = rle.length <= packed.length;
+        return {
+            encoding: useRle ? "rle" : "packed",
+            size: chunk.size,
+            height: chunk.height,
+            palette: chunk.palette.slice(),
+            data: this.toBase64(useRle ? rle : packed),
+            heightMap: Array.from(chunk.heightMap),
+            biomeMap: chunk.biomeMap ? Array.from(chunk.biomeMap) : null
+        };
+    },
+
+    // Accepts the current format and the version 1 save format ({ blocks: [value, count, ...] })
+    deserialize(saved, cx, cz, size, height) {
+        if (saved.encoding === undefined && Array.isArray(saved.blocks)) return this.fromLegacy(saved, cx, cz, size, height);
+        if (saved.size !== size || saved.height !== height) {
+            throw new Error(`Saved chunk ${cx},${cz} is ${saved.size}x${saved.height}, expected ${size}x${height}`);
+        }
+        const chunk = this.create(cx, cz, size, height);
+        chunk.palette = saved.palette.slice();
+        if (chunk.palette.length > 0x100) chunk.indices = new Uint16Array(chunk.indices.length);
+        const bytes = this.fromBase64(saved.data);
+        if (saved.encoding === "rle") this.decodeRle(bytes, chunk.indices);
+        else if (saved.encoding === "packed") this.decodePacked(bytes, chunk.indices, this.bitsFor(chunk.palette.length));
+        else throw new Error(`Unknown chunk encoding "${saved.encoding}"`);
+        this.restoreMaps(chunk, saved);
+        return chunk;
+    },
+
+    fromLegacy(saved, cx, cz, size, height) {
+        const chunk = this.create(cx, cz, size, height);
+        const total = chunk.indices.length;
+        let index = 0;
+        for (let i = 0; i < saved.blocks.length && index < total; i += 2) {
+            const value = this.paletteIndex(chunk, saved.blocks[i]);
+            const end = Math.min(total, index + saved.blocks[i + 1]);
+            chunk.indices.fill(value, index, end);
+            index = end;
+        }
+        this.restoreMaps(chunk, saved);
+        return chunk;
+    },
+
+    // Rewrite the block values of a saved chunk (either format) in place through remap(value), for
+    // block ids that changed between sessions. Returns whether any block became air, in which case
+    // the saved height map is dropped so it's rebuilt on load.
+    remapSaved(saved, remap) {
+        let lost = false;
+        const map = (value) => {
+            const next = value ? remap(value) : 0;
+            if (value && !next) lost = true;
+            return next;
+        };
+        if (saved.encoding === undefined && Array.isArray(saved.blocks)) {
+            for (let i = 0; i < saved.blocks.length; i += 2) saved.blocks[i] = map(saved.blocks[i]);
+        } else {
+            saved.palette = saved.palette.map(map);
+        }
+        if (lost) saved.heightMap = null;
+        return lost;
+    },
+
+    restoreMaps(chunk, saved) {
+        if (saved.heightMap) chunk.heightMap.set(saved.heightMap);
+        else this.updateHeightMap(chunk);
+        if (saved.biomeMap) chunk.biomeMap = Uint8Array.from(saved.biomeMap);
+    },
+
+    bitsFor(paletteLength) {
+        let bits = 1;
+        while ((1 << bits) < paletteLength) bits++;
+        return bits;
+    },
+
+    encodeRle(chunk) {
+        const { indices } = chunk;
+        const out = [];
+        const writeVarint = (v) => {
+            while (v > 0x7F) {
+                out.push((v & 0x7F) | 0x80);
+                v >>>= 7;
+            }
+            out.push(v);
+        };
+        let i = 0;
+        while (i < indices.length) {
+            const value = indices[i];
+            let run = 1;
+            while (i + run < indices.length && indices[i + run] === value) run++;
+            writeVarint(value);
+            writeVarint(run);
+            i += run;
+        }
+        return Uint8Array.from(out);
+    },
+
+    decodeRle(bytes, indices) {
+        let pos = 0, index = 0;
+        const readVarint = () => {
+            let v = 0, shift = 0, b;
+            do {
+                b = bytes[pos++];
+                v |= (b & 0x7F) << shift;
+                shift += 7;
+            } while (b & 0x80);
+            return v >>> 0;
+        };
+        while (pos < bytes.length && index < indices.length) {
+            const value = readVarint();
+            const run = readVarint();
+            indices.fill(value, index, Math.min(indices.length, index + run));
+            index += run;
+        }
+    },
+
+    encodePacked(chunk) {
+        const { indices } = chunk;
+        const bits = this.bitsFor(chunk.palette.length);
+        const out = new Uint8Array(Math.ceil(indices.length * bits / 8));
+        let bitPos = 0;
+        for (let i = 0; i < indices.length; i++) {
+            const v = indices[i];
+            for (let b = 0; b < bits; b++, bitPos++) {
+                if (v & (1 << b)) out[bitPos >> 3] |= 1 << (bitPos & 7);
+            }
+        }
+        return out;
+    },
+
+    decodePacked(bytes, indices, bits) {
+        let bitPos = 0;
+        for (let i = 0; i < indices.length; i++) {
+            let v = 0;
+            for (let b = 0; b < bits; b++, bitPos++) {
+                if (bytes[bitPos >> 3] & (1 << (bitPos & 7))) v |= 1 << b;
+            }
+            indices[i] = v;
+        }
+    },
+
+    toBase64(bytes) {
+        let binary = "";
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+};
@@ -0,0 +1,233 @@
+// Chunk Light - Skylight and block light flood fill shared by the main thread and the chunk workers
+// chunk.light holds one byte per block in the same order as chunk.indices: skylight in the high
+// nibble and block light in the low nibble, each 0 to MAX_LEVEL. Skylight is MAX_LEVEL in open air
+// under the sky and keeps that level straight down through air; block light starts at a block's
+// lightEmission. Every other step (sideways, up, or into a see-through block) costs one level,
+// and opaque blocks stop light (an opaque block that glows still lights its neighbors).
+//
+// Light crosses chunk borders through a world object:
+//   { size, height, getChunk(cx, cz), isOpaque(value), getEmission(value), canWrite(chunk) }
+// Chunks without a light array count as unloaded. A worker lighting a new chunk only lets it be
+// written and reads its neighbors; the main thread owns every chunk and relights around edits.
+// Relighting reports the chunks it changed as a Map of chunk -> BORDER_* bits for the edges
+// whose light changed, since the neighbor across such an edge shades its faces with that light.
+
+const ChunkLight = {
+    MAX_LEVEL: 15,
+    SKY: 4,   // bit shift of the skylight nibble
+    BLOCK: 0, // bit shift of the block light nibble
+    BORDER_MIN_X: 1,
+    BORDER_MAX_X: 2,
+    BORDER_MIN_Z: 4,
+    BORDER_MAX_Z: 8,
+
+    // Index 3 is straight down, where full skylight doesn't fade through air
+    DIRECTIONS: [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]],
+
+    // locate() result, reused to avoid allocating per step; lastChunk caches the chunk lookup
+    cell: { chunk: null, index: 0 },
+    lastChunk: null,
+
+    // Chunk and light index of a world cell, or null when unloaded, unlit or out of range
+    locate(world, x, y, z) {
+        if (y < 0 || y >= world.height) return null;
+        const size = world.size;
+        const cx = Math.floor(x / size);
+        const cz = Math.floor(z / size);
+        let chunk = this.lastChunk;
+        if (!chunk || chunk.chunkX !== cx || chunk.chunkZ !== cz) {
+            chunk = world.getChunk(cx, cz);
+            if (!chunk || !chunk.light) return null;
+            this.lastChunk = chunk;
+        }
+        this.cell.chunk = chunk;
+        this.cell.index = ((x - cx * size) * size + (z - cz * size)) * world.height + y;
+        return this.cell;
+    },
+
+    // Record a light change at a chunk's light index in a changed map
+    markChanged(changed, chunk, index) {
+        const { size } = chunk;
+        const column = Math.floor(index / chunk.height);
+        const x = Math.floor(column / size), z = column - x * size;
+        let borders = changed.get(chunk) || 0;
+        if (x === 0) borders |= this.BORDER_MIN_X;
+        else if (x === size - 1) borders |= this.BORDER_MAX_X;
+        if (z === 0) borders |= this.BORDER_MIN_Z;
+        else if (z === size - 1) borders |= this.BORDER_MAX_Z;
+        changed.set(chunk, borders);
+    },
+
+    // Light a chunk from scratch: open sky, its own light sources and whatever shines in across
+    // its borders from neighbors the world can reach. Sets and returns chunk.light.
+    computeChunk(world, chunk) {
+        this.lastChunk = null;
+        const { size, height, heightMap, palette, indices } = chunk;
+        const light = chunk.light = new Uint8Array(size * size * height);
+        const baseX = chunk.chunkX * size, baseZ = chunk.chunkZ * size;
+        const sky = [], block = [];
+        const emitting = palette.some(value => value && world.getEmission(value) > 0);
+
+        // Top of a column, reaching into a neighbor chunk at the borders
+        const topAt = (lx, lz, fallback) => {
+            if (lx >= 0 && lx < size && lz >= 0 && lz < size) return heightMap[lz * size + lx];
+            const other = world.getChunk(chunk.chunkX + Math.floor(lx / size), chunk.chunkZ + Math.floor(lz / size));
+            return other ? other.heightMap[((lz + size) % size) * size + (lx + size) % size] : fallback;
+        };
+
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
+                const top = heightMap[z * size + x];
+                const base = (x * size + z) * height;
+                light.fill(this.MAX_LEVEL << this.SKY, base + top + 1, base + height);
+
+                // Open-sky cells beside a taller column or above the top block light what's under them
+                let reach = top + 1;
+                for (let d = 0; d < 6; d++) {
+                    const dir = this.DIRECTIONS[d];
+                    if (dir[1] === 0) reach = Math.max(reach, topAt(x + dir[0], z + dir[2], top));
+                }
+                for (let y = top + 1; y <= reach && y < height; y++) sky.push(baseX + x, y, baseZ + z);
+
+                if (!emitting) continue;
+                for (let y = 0; y <= top; y++) {
+                    const emission = world.getEmission(palette[indices[base + y]]);
+                    if (emission > 0) {
+                        light[base + y] |= emission << this.BLOCK;
+                        block.push(baseX + x, y, baseZ + z);
+                    }
+                }
+            }
+        }
+
+        for (const [dx, dz] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+            const other = world.getChunk(chunk.chunkX + dx, chunk.chunkZ + dz);
+            if (other && other.light) this.seedBorder(world, other, chunk, sky, block);
+        }
+        const changed = new Map();
+        this.spread(world, sky, this.SKY, changed);
+        this.spread(world, block, this.BLOCK, changed);
+        return light;
+    },
+
+    // Push light both ways across the borders of a chunk and its loaded neighbors, after the chunk
+    // arrives from a worker; returns the changed map
+    spreadBorders(world, chunk) {
+        this.lastChunk = null;
+        const sky = [], block = [];
+        for (const [dx, dz] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+            const other = world.getChunk(chunk.chunkX + dx, chunk.chunkZ + dz);
+            if (!other || !other.light) continue;
+            this.seedBorder(world, other, chunk, sky, block);
+            this.seedBorder(world, chunk, other, sky, block);
+        }
+        const changed = new Map();
+        this.spread(world, sky, this.SKY, changed);
+        this.spread(world, block, this.BLOCK, changed);
+        return changed;
+    },
+
+    // Queue the lit cells of `from` along the border it shares with `to`. Cells above both columns
+    // are open sky on both sides, so only block light is looked for there.
+    seedBorder(world, from, to, sky, block) {
+        const { size, height } = from;
+        const dx = to.chunkX - from.chunkX, dz = to.chunkZ - from.chunkZ;
+        const fromX = dx > 0 ? size - 1 : 0, toX = dx > 0 ? 0 : size - 1;
+        const fromZ = dz > 0 ? size - 1 : 0, toZ = dz > 0 ? 0 : size - 1;
+        for (let i = 0; i < size; i++) {
+            const x = dx ? fromX : i, z = dz ? fromZ : i;
+            const tx = dx ? toX : i, tz = dz ? toZ : i;
+            const limit = Math.min(height - 1, Math.max(from.heightMap[z * size + x], to.heightMap[tz * size + tx]) + 1);
+            const base = (x * size + z) * height;
+            const wx = from.chunkX * size + x, wz = from.chunkZ * size + z;
+            for (let y = 0; y < height; y++) {
+                const level = from.light[base + y];
+                if (y <= limit && (level >> this.SKY) > 1) sky.push(wx, y, wz);
+                if ((level & 0xF) > 1) block.push(wx, y, wz);
+            }
+        }
+    },
+
+    // Spread light outward from queued [x, y, z] cells whose level is already written
+    spread(world, queue, shift, changed) {
+        const mask = 0xF << shift;
+        for (let head = 0; head < queue.length; head += 3) {
+            const x = queue[head], y = queue[head + 1], z = queue[head + 2];
+            const cell = this.locate(world, x, y, z);
+            if (!cell) continue;
+            const level = (cell.chunk.light[cell.index] >> shift) & 0xF;
+            if (level <= 1) continue;
+            for (let d = 0; d < 6; d++) {
+                const dir = this.DIRECTIONS[d];
+                const nx = x + dir[0], ny = y + dir[1], nz = z + dir[2];
+                const n = this.locate(world, nx, ny, nz);
+                if (!n || !world.canWrite(n.chunk)) continue;
+                const { chunk, index } = n;
+                const value = chunk.palette[chunk.indices[index]];
+                if (value && world.isOpaque(value)) continue;
+                const next = shift === this.SKY && d === 3 && level === this.MAX_LEVEL && !value ? level : level - 1;
+                if (((chunk.light[index] >> shift) & 0xF) >= next) continue;
+                chunk.light[index] = (chunk.light[index] & ~mask) | (next << shift);
+                this.markChanged(changed, chunk, index);
+                queue.push(nx, ny, nz);
+            }
+        }
+    },
+
+    // Clear the light that reached cells through the queued [x, y, z, level] cells (already
+    // cleared), and queue the cells around the cleared area that are lit some other way into
+    // refill so spread() can shine back in. Light sources keep their own emission.
+    unspread(world, queue, shift, changed, refill) {
+        const mask = 0xF << shift;
+        for (let head = 0; head < queue.length; head += 4) {
+            const x = queue[head], y = queue[head + 1], z = queue[head + 2], level = queue[head + 3];
+            for (let d = 0; d < 6; d++) {
+                const dir = this.DIRECTIONS[d];
+                const nx = x + dir[0], ny = y + dir[1], nz = z + dir[2];
+                const n = this.locate(world, nx, ny, nz);
+                if (!n || !world.canWrite(n.chunk)) continue;
+                const { chunk, index } = n;
+                const current = (chunk.light[index] >> shift) & 0xF;
+                if (!current) continue;
+                const fromAbove = shift === this.SKY && d === 3 && level === this.MAX_LEVEL && current === level;
+                if (current < level || fromAbove) {
+                    const keep = shift === this.BLOCK ? world.getEmission(chunk.palette[chunk.indices[index]]) : 0;
+                    chunk.light[index] = (chunk.light[index] & ~mask) | (keep << shift);
+                    this.markChanged(changed, chunk, index);
+                    queue.push(nx, ny, nz, current);
+                    if (keep) refill.push(nx, ny, nz);
+                } else {
+                    refill.push(nx, ny, nz);
+                }
+            }
+        }
+    },
+
+    // Relight around world cell (x, y, z) after its block changed, touching only the cells whose
+    // light depended on it; returns the changed map
+    update(world, x, y, z) {
+        this.lastChunk = null;
+        const changed = new Map();
+        const cell = this.locate(world, x, y, z);
+        if (!cell) return changed;
+        const { chunk, index } = cell;
+        const value = chunk.palette[chunk.indices[index]];
+        const emission = value ? world.getEmission(value) : 0;
+
+        for (const shift of [this.SKY, this.BLOCK]) {
+            const old = (chunk.light[index] >> shift) & 0xF;
+            const own = shift === this.BLOCK ? emission : 0;
+            chunk.light[index] = (chunk.light[index] & ~(0xF << shift)) | (own << shift);
+            this.markChanged(changed, chunk, index);
+            const refill = own ? [x, y, z] : [];
+            this.unspread(world, [x, y, z, old], shift, changed, refill);
+            this.spread(world, refill, shift, changed);
+        }
+        return changed;
+    },
+
+    // Brighter of a cell's skylight and block light
+    levelOf(byte) {
+        return Math.max(byte >> 4, byte & 0xF);
+    }
+};
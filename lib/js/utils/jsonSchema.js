@@ -0,0 +1,104 @@
+// JSON Schema - Small validator for the game pack schemas (lib/schemas/*.schema.json)
+// Supports the draft-07 keywords the pack schemas use: type, enum, const, properties, required,
+// additionalProperties, propertyNames, items, minItems, maxItems, minimum, maximum, minLength,
+// pattern, anyOf and local $ref ("#/definitions/<name>"). Other keywords (title, description, ...)
+// are ignored; an anyOf's description names the allowed forms in its error message.
+//
+// validate() returns a list of { path, message } errors, where path is the dotted location of the
+// offending value ("blocks.grass.hardness") and message reads like "expected number, got "hard"".
+
+const JsonSchema = {
+    validate(schema, value, path = "", root = schema) {
+        const errors = [];
+        this.check(schema, value, path, root, errors);
+        return errors;
+    },
+
+    typeOf(value) {
+        if (value === null) return "null";
+        if (Array.isArray(value)) return "array";
+        if (typeof value === "number" && Number.isInteger(value)) return "integer";
+        return typeof value;
+    },
+
+    matchesType(type, value) {
+        const actual = this.typeOf(value);
+        return type === actual || (type === "number" && actual === "integer");
+    },
+
+    // Short readable form of a value for messages
+    describe(value) {
+        const text = JSON.stringify(value);
+        return text === undefined ? String(value) : (text.length > 40 ? `${text.slice(0, 37)}...` : text);
+    },
+
+    resolve(schema, root) {
+        while (schema && schema.$ref) {
+            const match = /^#\/definitions\/(.+)$/.exec(schema.$ref);
+            if (!match || !root.definitions || !root.definitions[match[1]]) {
+                throw new Error(`Unresolvable schema reference "${schema.$ref}"`);
+            }
+            schema = root.definitions[match[1]];
+        }
+        return schema;
+    },
+
+    check(schema, value, path, root, errors) {
+        schema = this.resolve(schema, root);
+        if (schema === true || schema === undefined) return;
+        const fail = (message) => errors.push({ path: path || "(root)", message });
+        if (schema === false) return fail("is not allowed here");
+
+        if (schema.anyOf) {
+            const matched = schema.anyOf.some(option => this.validate(option, value, path, root).length === 0);
+            if (!matched) return fail(schema.description ? `expected ${schema.description}, got ${this.describe(value)}`
+                : `matches none of the allowed forms: ${this.describe(value)}`);
+        }
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => this.matchesType(type, value))) {
+                return fail(`expected ${types.join(" or ")}, got ${this.describe(value)}`);
+            }
+        }
+        if (schema.const !== undefined && value !== schema.const) return fail(`expected ${this.describe(schema.const)}, got ${this.describe(value)}`);
+        if (schema.enum && !schema.enum.includes(value)) {
+            return fail(`expected one of ${schema.enum.map(option => this.describe(option)).join(", ")}, got ${this.describe(value)}`);
+        }
+
+        if (typeof value === "number") {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}, got ${value}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}, got ${value}`);
+        }
+        if (typeof value === "string") {
+            if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`${this.describe(value)} doesn't match ${schema.pattern}`);
+        }
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) fail(`needs at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`allows at most ${schema.maxItems} items`);
+            if (schema.items) value.forEach((item, i) => this.check(schema.items, item, `${path}[${i}]`, root, errors));
+        }
+        if (this.typeOf(value) === "object") {
+            const join = (key) => (path ? `${path}.${key}` : key);
+            for (const key of schema.required || []) {
+                if (!Object.hasOwn(value, key)) errors.push({ path: join(key), message: "is required" });
+            }
+            for (const [key, item] of Object.entries(value)) {
+                if (schema.propertyNames) {
+                    const nameErrors = this.validate(schema.propertyNames, key, join(key), root);
+                    if (nameErrors.length) {
+                        errors.push({ path: join(key), message: `is not a valid name: ${nameErrors[0].message}` });
+                        continue;
+                    }
+                }
+                if (schema.properties && Object.hasOwn(schema.properties, key)) {
+                    this.check(schema.properties[key], item, join(key), root, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: join(key), message: "is not a known field" });
+                } else if (schema.additionalProperties !== undefined) {
+                    this.check(schema.additionalProperties, item, join(key), root, errors);
+                }
+            }
+        }
+    }
+};
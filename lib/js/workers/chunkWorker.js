@@ -1,6 +1,8 @@
-// Chunk Worker - Simplified flat-world generator
+// Chunk Worker - Seeded terrain generator and chunk mesher
 // Note: We'll receive needed variables and constants from the main thread
 
+importScripts("../utils/chunkFormat.js", "../utils/chunkLight.js");
+
 let CHUNK_SIZE, WORLD_HEIGHT, BLOCK_TYPES;
 let blockColors; // Will be populated from main thread
 
@@ -8,11 +10,47 @@ let blockColors; // Will be populated from main thread
 let idToProps = [];        // index by numeric block id -> properties object
 let idToName = [];         // index by numeric block id -> block name string
 let isTransparentById = []; // index by id -> boolean transparent
+let lightEmissionById = []; // index by id -> light level the block gives off (0-15)
 
 // Add chunk storage
 const chunkStorage = new Map();
 const neighborChunks = new Map(); // Store neighboring chunks for proper culling
 
+// Keep the neighbor copies the main thread sends for border culling; it sends a neighbor again only
+// once it has changed. Chunks this worker stores itself are kept current by updateChunk messages,
+// so their copies would only duplicate them.
+function cacheNeighbors(cx, cz, neighbors) {
+    if (!neighbors) return;
+    const keep = (key, chunk) => {
+        if (chunk && !chunkStorage.has(key)) neighborChunks.set(key, chunk);
+    };
+    keep(`${cx - 1},${cz}`, neighbors.left);
+    keep(`${cx + 1},${cz}`, neighbors.right);
+    keep(`${cx},${cz - 1}`, neighbors.back);
+    keep(`${cx},${cz + 1}`, neighbors.front);
+}
+
+// A chunk this worker holds, stored or cached as a neighbor
+function getCachedChunk(cx, cz) {
+    const key = `${cx},${cz}`;
+    return chunkStorage.get(key) || neighborChunks.get(key);
+}
+
+function storeChunk(key, chunk) {
+    chunkStorage.set(key, chunk);
+    neighborChunks.delete(key);
+}
+
+// Chunk count and approximate bytes of both caches, reported to the main thread's HUD
+function getCacheStats() {
+    const measure = (cache) => {
+        let bytes = 0;
+        for (const chunk of cache.values()) bytes += ChunkFormat.byteSize(chunk);
+        return { chunks: cache.size, bytes };
+    };
+    return { storage: measure(chunkStorage), neighbors: measure(neighborChunks) };
+}
+
 // Basic utilities
 function clamp01(v) { return v < 0 ? 0 : (v > 1 ? 1 : v); }
 
@@ -53,17 +91,32 @@ const faces = [
 // Names of the faces for texture mapping
 const faceNames = ["front", "back", "right", "left", "top", "bottom"];
 
+// Fluid block state (the bits above the block id): 0 is a source, 1-7 are flowing levels
+// and FLUID_FALLING marks fluid pouring down; the main thread's fluid ticks write these.
+const FLUID_FALLING = 8;
+
+// Fluid surface height within its block: each flowing level sits 1/9 lower than a source,
+// falling fluid and fluid with the same fluid above it fill the whole block
+function getFluidHeight(value, aboveValue) {
+    const state = ChunkFormat.blockState(value);
+    if (state >= FLUID_FALLING || ChunkFormat.blockId(aboveValue) === ChunkFormat.blockId(value)) return 1;
+    return (8 - state) / 9;
+}
+
 // Build fast lookup maps once when constants arrive
 function buildBlockLookups() {
     idToProps = [];
     idToName = [];
     isTransparentById = [];
+    lightEmissionById = [];
+    biomeTable = null; // biome layers resolve their blocks through BLOCK_TYPES
     if (!BLOCK_TYPES) return;
     for (const [name, id] of Object.entries(BLOCK_TYPES)) {
         idToName[id] = name;
         const props = blockColors && blockColors[name] ? blockColors[name] : { transparency: 1, color: { r: 1, g: 1, b: 1 } };
         idToProps[id] = props;
         isTransparentById[id] = (props && (props.transparency ?? 1) < 1) || !!props.seeThrough;
+        lightEmissionById[id] = Math.min(ChunkLight.MAX_LEVEL, props.lightEmission || 0);
     }
 }
 
@@ -158,59 +211,294 @@ function shouldCullFace(blockType, neighborType, neighborChunkLoaded, blockProps
     return false;
 }
 
+// ===== LIGHTING =====
+// Workers light each chunk they generate, and saved chunks that arrive without light, with
+// ChunkLight, reading the neighbors they hold so light shines in across borders. From then on the
+// main thread owns the light: it spreads it out into neighbors and relights around block edits.
+// Meshes bake smooth light and ambient occlusion into the vertex colors.
+const AO_CURVE = [0.5, 0.7, 0.85, 1]; // brightness by number of open cells around a corner
+const LIGHT_CURVE = [];               // brightness by light level
+for (let level = 0; level <= ChunkLight.MAX_LEVEL; level++) {
+    LIGHT_CURVE.push(0.08 + 0.92 * Math.pow(0.8, ChunkLight.MAX_LEVEL - level));
+}
+
+// Blocks that stop light and darken corners (see-through blocks and air don't)
+function isOpaqueValue(value) {
+    return value !== 0 && !isTransparentById[ChunkFormat.blockId(value)];
+}
+
+function getLightEmission(value) {
+    return lightEmissionById[ChunkFormat.blockId(value)] || 0;
+}
+
+// Compute chunk.light; only the chunk itself is written, its neighbors are read
+function lightChunk(chunk) {
+    ChunkLight.computeChunk({
+        size: CHUNK_SIZE,
+        height: WORLD_HEIGHT,
+        getChunk: (ncx, ncz) => (ncx === chunk.chunkX && ncz === chunk.chunkZ ? chunk : getCachedChunk(ncx, ncz)),
+        isOpaque: isOpaqueValue,
+        getEmission: getLightEmission,
+        canWrite: (other) => other === chunk
+    }, chunk);
+}
+
+// ===== MESH BUFFERS =====
+// A chunk meshes into an opaque buffer and one transparent buffer per material its see-through
+// blocks need (getMaterialKey: front or both sides, and alphaTest), all textured from the main
+// thread's block atlas: props.atlas maps face names (and "all") to [u0, v0, u1, v1] tile rectangles.
+// Every vertex carries its tile rectangle and a uv counted in blocks across the quad, so one
+// merged quad repeats its tile once per block; the chunk materials wrap uv into the tile.
+// Blocks without an atlas tile sample the atlas's white corner and keep their flat color.
+// Each vertex color is also scaled by its corner's light and ambient occlusion (see LIGHTING).
+// Positions are relative to the chunk (or LOD tile) origin and the main thread places each mesh,
+// so float32 vertex precision doesn't degrade far from the world origin.
+const WHITE = { r: 1, g: 1, b: 1 };
+const WHITE_TILE = [0, 1, 0, 1];
+
+// Mesher used by buildChunkGeometry: "simple" emits one quad per visible face,
+// "greedy" merges coplanar faces of the same block into larger quads
+const MESHERS = ["simple", "greedy"];
+let MESHER = "simple";
+
+// Texture axes of each face: u runs from its vertex 0 to 1, v from vertex 1 to 2
+for (const face of faces) {
+    const [v0, v1, v2] = face.vertices;
+    face.uAxis = v0[0] !== v1[0] ? 0 : (v0[1] !== v1[1] ? 1 : 2);
+    face.vAxis = v1[0] !== v2[0] ? 0 : (v1[1] !== v2[1] ? 1 : 2);
+    face.normalAxis = 3 - face.uAxis - face.vAxis;
+    // Per vertex, the offsets from the block to the two side cells and the corner cell in front of it
+    face.corners = face.vertices.map(v => {
+        const side1 = face.dir.slice();
+        side1[face.uAxis] += v[face.uAxis] ? 1 : -1;
+        const side2 = face.dir.slice();
+        side2[face.vAxis] += v[face.vAxis] ? 1 : -1;
+        const corner = side1.slice();
+        corner[face.vAxis] = side2[face.vAxis];
+        return [side1, side2, corner];
+    });
+}
+
+function createMeshBuffer() {
+    return { vertices: [], indices: [], uvs: [], tiles: [], colors: [], normals: [], vertexCount: 0 };
+}
+
+function getMaterialKey(props) {
+    return `${props.sideRendering === "both" ? "both" : "one"}|${props.alphaTest}`;
+}
+
+// Picks the buffer a block's faces go into, creating transparent buffers as they're needed
+function createBufferPicker(opaque, transparent) {
+    return (props) => {
+        if (!isTransparentBlock(props)) return opaque;
+        const key = getMaterialKey(props);
+        let buffer = transparent.get(key);
+        if (!buffer) {
+            buffer = createMeshBuffer();
+            buffer.sideRendering = props.sideRendering === "both" ? "both" : "one";
+            buffer.alphaTest = props.alphaTest;
+            transparent.set(key, buffer);
+        }
+        return buffer;
+    };
+}
+
+function getFaceRect(props, faceName) {
+    if (!props.atlas) return null;
+    return props.atlas[faceName] || props.atlas.all || null;
+}
+
+// Append one quad covering sx by sz blocks from (wx, y, wz); vertices with y = 1 are raised
+// to `top` and those with y = 0 to `bottom` (a single block face passes sx = sz = 1).
+// shade holds the brightness of the four vertices, or null for full brightness.
+function pushFace(buffer, face, wx, y, wz, top, bottom, props, faceName, sx = 1, sz = 1, shade = null) {
+    const rect = getFaceRect(props, faceName) || WHITE_TILE;
+    const color = rect !== WHITE_TILE ? WHITE : (props.color || WHITE);
+    const span = [sx, top - bottom, sz];
+    const spanU = span[face.uAxis], spanV = span[face.vAxis];
+    for (let i = 0; i < 4; i++) {
+        const v = face.vertices[i];
+        buffer.vertices.push(wx + v[0] * sx, y + (v[1] ? top : bottom), wz + v[2] * sz);
+        buffer.tiles.push(rect[0], rect[1], rect[2], rect[3]);
+        const light = shade ? shade[i] : 1;
+        buffer.colors.push(color.r * light, color.g * light, color.b * light);
+        buffer.normals.push(face.dir[0], face.dir[1], face.dir[2]);
+    }
+    // Corners in quad order: (0,0) (1,0) (1,1) (0,1)
+    buffer.uvs.push(0, 0, spanU, 0, spanU, spanV, 0, spanV);
+    const n = buffer.vertexCount;
+    // Split along the darker diagonal so occlusion shades the quad symmetrically
+    if (shade && shade[0] + shade[2] > shade[1] + shade[3]) buffer.indices.push(n, n + 1, n + 3, n + 1, n + 2, n + 3);
+    else buffer.indices.push(n, n + 1, n + 2, n, n + 2, n + 3);
+    buffer.vertexCount += 4;
+}
+
+function toTypedBuffer(buffer) {
+    return {
+        vertices: new Float32Array(buffer.vertices),
+        indices: new Uint32Array(buffer.indices),
+        uvs: new Float32Array(buffer.uvs),
+        tiles: new Float32Array(buffer.tiles),
+        colors: new Float32Array(buffer.colors),
+        normals: new Float32Array(buffer.normals)
+    };
+}
+
+// ===== GREEDY MESHING =====
+// The greedy mesher runs the same per-face culling as the simple one, but instead of emitting
+// each visible face it records an id for the face's block and shading in a mask per direction.
+// Each mask is then swept slice by slice along the face normal, growing rectangles of equal ids
+// along the face's u axis and then its v axis. Only evenly lit faces are recorded; faces whose
+// corners differ in light or occlusion, and fluids (their corner heights vary), keep their own quads.
+let faceMasks = null;
+
+function getFaceMasks() {
+    const size = CHUNK_SIZE * CHUNK_SIZE * WORLD_HEIGHT;
+    if (!faceMasks || faceMasks[0].length !== size) {
+        faceMasks = faces.map(() => new Uint16Array(size));
+    }
+    return faceMasks;
+}
+
+// Emit merged quads for every recorded face and leave the masks cleared for the next chunk.
+// maskFaces maps mask ids to { blockType, shade }; bufferFor picks each quad's buffer.
+function mergeFaceMasks(masks, maskFaces, bufferFor, maxY) {
+    const dims = [CHUNK_SIZE, maxY, CHUNK_SIZE];
+    const cell = [0, 0, 0];
+    const maskIndex = () => (cell[0] * CHUNK_SIZE + cell[2]) * WORLD_HEIGHT + cell[1];
+
+    for (let f = 0; f < faces.length; f++) {
+        const face = faces[f];
+        const mask = masks[f];
+        const { uAxis, vAxis, normalAxis } = face;
+        const dimU = dims[uAxis], dimV = dims[vAxis];
+
+        for (let d = 0; d < dims[normalAxis]; d++) {
+            cell[normalAxis] = d;
+            for (let j = 0; j < dimV; j++) {
+                for (let i = 0; i < dimU; i++) {
+                    cell[uAxis] = i; cell[vAxis] = j;
+                    const faceId = mask[maskIndex()];
+                    if (!faceId) continue;
+
+                    // Widen along u, then extend whole rows along v
+                    let w = 1;
+                    for (cell[uAxis] = i + 1; cell[uAxis] < dimU && mask[maskIndex()] === faceId; cell[uAxis]++) w++;
+                    let h = 1;
+                    grow: for (; j + h < dimV; h++) {
+                        cell[vAxis] = j + h;
+                        for (let k = 0; k < w; k++) {
+                            cell[uAxis] = i + k;
+                            if (mask[maskIndex()] !== faceId) break grow;
+                        }
+                    }
+                    for (let b = 0; b < h; b++) {
+                        cell[vAxis] = j + b;
+                        for (let k = 0; k < w; k++) {
+                            cell[uAxis] = i + k;
+                            mask[maskIndex()] = 0;
+                        }
+                    }
+
+                    // Quad origin and extents in block coordinates
+                    cell[uAxis] = i; cell[vAxis] = j;
+                    const extent = [1, 1, 1];
+                    extent[uAxis] = w; extent[vAxis] = h;
+                    const { blockType, shade } = maskFaces[faceId];
+                    const props = getBlockProperties(blockType);
+                    pushFace(bufferFor(props), face,
+                        cell[0], cell[1], cell[2], extent[1], 0, props, faceNames[f],
+                        extent[0], extent[2], shade);
+                }
+            }
+        }
+    }
+}
 
 // Build Chunk Geometry function - moved from index.html to worker
 function buildChunkGeometry(chunkData, cx, cz) {
-    // Create separate arrays for each textured block type
-    const texturedGeometries = {};
-    const oVertices = [], oIndices = [], oUVs = [], oColors = [], oNormals = [];
-    let oVertexCount = 0;
-    const tVertices = [], tIndices = [], tUVs = [], tColors = [], tNormals = [];
-    let tVertexCount = 0;
-
-    // Helper to fetch neighbor from local storage or shadow neighbor cache
-    const getNeighborChunk = (ncx, ncz) => {
-        const k = `${ncx},${ncz}`;
-        return chunkStorage.get(k) || neighborChunks.get(k);
-    };
+    const startTime = performance.now();
+    const opaque = createMeshBuffer();
+    const transparent = new Map(); // material key -> buffer
+    const bufferFor = createBufferPicker(opaque, transparent);
+    const greedy = MESHER === "greedy";
+    const masks = greedy ? getFaceMasks() : null;
+    const maskFaces = [null]; // greedy mask id -> { blockType, shade }
+    const maskIds = new Map(); // blockType * 256 + shade byte -> mask id
+    let maxY = 0;
 
     // Pre-cache neighboring chunk data for performance
     const neighborChunkCache = {
-        left: getNeighborChunk(cx - 1, cz),
-        right: getNeighborChunk(cx + 1, cz),
-        front: getNeighborChunk(cx, cz + 1),
-        back: getNeighborChunk(cx, cz - 1)
+        left: getCachedChunk(cx - 1, cz),
+        right: getCachedChunk(cx + 1, cz),
+        front: getCachedChunk(cx, cz + 1),
+        back: getCachedChunk(cx, cz - 1)
+    };
+
+    // The chunk and its eight neighbors by chunk-local coordinates one block past any edge
+    const around = [];
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) around.push(dx || dz ? getCachedChunk(cx + dx, cz + dz) : chunkData);
+    }
+    const chunkAround = (lx, lz) =>
+        around[(lx < 0 ? 0 : (lx < CHUNK_SIZE ? 1 : 2)) * 3 + (lz < 0 ? 0 : (lz < CHUNK_SIZE ? 1 : 2))];
+
+    // Raw block value at chunk-local coordinates, reaching one block into the cached neighbors
+    const valueAt = (lx, ly, lz) => {
+        if (ly < 0 || ly >= WORLD_HEIGHT) return 0;
+        const chunk = chunkAround(lx, lz);
+        return chunk ? ChunkFormat.get(chunk, (lx + CHUNK_SIZE) % CHUNK_SIZE, ly, (lz + CHUNK_SIZE) % CHUNK_SIZE) : 0;
     };
 
-    // Use heightMap when available to cap Y iteration per column
-    const {heightMap} = chunkData;
+    // Light level at chunk-local coordinates; cells of chunks without light count as open sky
+    const lightAt = (lx, ly, lz) => {
+        if (ly >= WORLD_HEIGHT) return ChunkLight.MAX_LEVEL;
+        if (ly < 0) return 0;
+        const chunk = chunkAround(lx, lz);
+        if (!chunk || !chunk.light) return ChunkLight.MAX_LEVEL;
+        const x = (lx + CHUNK_SIZE) % CHUNK_SIZE, z = (lz + CHUNK_SIZE) % CHUNK_SIZE;
+        return ChunkLight.levelOf(chunk.light[(x * CHUNK_SIZE + z) * WORLD_HEIGHT + ly]);
+    };
+
+    // Brightness of a face's four corners: light averaged over the open cells in front of the
+    // corner, darkened by ambient occlusion from the solid ones. Rounded to 1/255 so evenly
+    // lit faces compare equal for greedy merging.
+    const shade = [1, 1, 1, 1];
+    const shadeFace = (face, x, y, z) => {
+        const front = LIGHT_CURVE[lightAt(x + face.dir[0], y + face.dir[1], z + face.dir[2])];
+        for (let i = 0; i < 4; i++) {
+            const [side1, side2, corner] = face.corners[i];
+            const open1 = !isOpaqueValue(valueAt(x + side1[0], y + side1[1], z + side1[2]));
+            const open2 = !isOpaqueValue(valueAt(x + side2[0], y + side2[1], z + side2[2]));
+            // Light doesn't reach the corner cell between two solid sides
+            const openCorner = (open1 || open2) && !isOpaqueValue(valueAt(x + corner[0], y + corner[1], z + corner[2]));
+            let sum = front, count = 1;
+            if (open1) { sum += LIGHT_CURVE[lightAt(x + side1[0], y + side1[1], z + side1[2])]; count++; }
+            if (open2) { sum += LIGHT_CURVE[lightAt(x + side2[0], y + side2[1], z + side2[2])]; count++; }
+            if (openCorner) { sum += LIGHT_CURVE[lightAt(x + corner[0], y + corner[1], z + corner[2])]; count++; }
+            shade[i] = Math.round(AO_CURVE[open1 + open2 + openCorner] * sum / count * 255) / 255;
+        }
+        return shade;
+    };
+
+    // Use heightMap to cap Y iteration per column; columns are contiguous in indices
+    const { heightMap, indices, palette } = chunkData;
     
     for (let x = 0; x < CHUNK_SIZE; x++) {
-        const col = chunkData[x];
-        if (!col) continue;
         for (let z = 0; z < CHUNK_SIZE; z++) {
-            // Determine top Y for this column (inclusive)
-            let topY;
-            if (heightMap) {
-                topY = heightMap[z * CHUNK_SIZE + x];
-            } else {
-                // Fallback: scan down from WORLD_HEIGHT-1 to find last non-empty row
-                topY = -1;
-                for (let ty = WORLD_HEIGHT - 1; ty >= 0; ty--) {
-                    const r = col[ty];
-                    if (r && r[z]) { topY = ty; break; }
-                }
-            }
-            if (topY < 0) continue;
+            // Top Y for this column (inclusive)
+            const topY = heightMap[z * CHUNK_SIZE + x];
+            const base = (x * CHUNK_SIZE + z) * WORLD_HEIGHT;
+            if (topY >= maxY) maxY = topY + 1;
             
             for (let y = 0; y <= topY; y++) {
-                const row = col[y];
-                if (!row) continue;
-                const blockType = row[z] || 0;
-                if (blockType === 0) continue;
+                const blockValue = palette[indices[base + y]];
+                if (!blockValue) continue;
+                const blockType = ChunkFormat.blockId(blockValue);
                 
-                const blockName = getBlockName(blockType);
                 const colObj = getBlockProperties(blockType);
+                // Fluids below their full height lower the top of every face
+                const fluidTop = colObj.fluid ? getFluidHeight(blockValue, valueAt(x, y + 1, z)) : 1;
 
                 for (let f = 0; f < faces.length; f++) {
                     const face = faces[f];
@@ -229,544 +517,1021 @@ function buildChunkGeometry(chunkData, cx, cz) {
                     } else if (nx < 0) {
                         // Left neighbor chunk
                         if (neighborChunkCache.left) {
-                            const ncol = neighborChunkCache.left[CHUNK_SIZE - 1];
-                            neighbor = (ncol && ncol[ny] && ncol[ny][nz]) || 0;
+                            neighbor = ChunkFormat.get(neighborChunkCache.left, CHUNK_SIZE - 1, ny, nz);
                         } else {
                             isNeighborChunkLoaded = false;
                         }
                     } else if (nx >= CHUNK_SIZE) {
                         // Right neighbor chunk
                         if (neighborChunkCache.right) {
-                            const ncol = neighborChunkCache.right[0];
-                            neighbor = (ncol && ncol[ny] && ncol[ny][nz]) || 0;
+                            neighbor = ChunkFormat.get(neighborChunkCache.right, 0, ny, nz);
                         } else {
                             isNeighborChunkLoaded = false;
                         }
                     } else if (nz < 0) {
                         // Back neighbor chunk
                         if (neighborChunkCache.back) {
-                            const ncol = neighborChunkCache.back[nx];
-                            neighbor = (ncol && ncol[ny] && ncol[ny][CHUNK_SIZE - 1]) || 0;
+                            neighbor = ChunkFormat.get(neighborChunkCache.back, nx, ny, CHUNK_SIZE - 1);
                         } else {
                             isNeighborChunkLoaded = false;
                         }
                     } else if (nz >= CHUNK_SIZE) {
                         // Front neighbor chunk
                         if (neighborChunkCache.front) {
-                            const ncol = neighborChunkCache.front[nx];
-                            neighbor = (ncol && ncol[ny] && ncol[ny][0]) || 0;
+                            neighbor = ChunkFormat.get(neighborChunkCache.front, nx, ny, 0);
                         } else {
                             isNeighborChunkLoaded = false;
                         }
                     } else {
                         // Within same chunk
-                        const ncol = chunkData[nx];
-                        neighbor = (ncol && ncol[ny] && ncol[ny][nz]) || 0;
+                        neighbor = palette[indices[(nx * CHUNK_SIZE + nz) * WORLD_HEIGHT + ny]];
                     }
 
                     // Get neighbor properties once for efficiency
-                    const neighborProps = neighbor ? getBlockProperties(neighbor) : null;
+                    const neighborType = ChunkFormat.blockId(neighbor);
+                    const neighborProps = neighborType ? getBlockProperties(neighborType) : null;
 
-                    // Check if this face should be culled
-                    // Pass colObj as blockProps to avoid redundant lookup
-                    if (shouldCullFace(blockType, neighbor, isNeighborChunkLoaded, colObj, neighborProps)) {
+                    // A fluid side shows above a lower neighbor of the same fluid
+                    let faceBottom = 0;
+                    if (colObj.fluid && face.dir[1] === 0 && neighborType === blockType) {
+                        faceBottom = getFluidHeight(neighbor, valueAt(nx, ny + 1, nz));
+                        if (faceBottom >= fluidTop) continue;
+                    } else if (shouldCullFace(blockType, neighborType, isNeighborChunkLoaded, colObj, neighborProps)) {
+                        // Check if this face should be culled
+                        // Pass colObj as blockProps to avoid redundant lookup
                         continue;
                     }
 
-                    // Check if this block has any textures at all
-                    let hasFaceSpecificTexture = colObj.faces && colObj.faces[faceName] && colObj.faces[faceName].hasTexture;
-                    let {hasDefaultTexture} = colObj;
-                    
-                    // For textured blocks, we'll add them based on block name and face
-                    // Create separate geometry groups for face-specific textures vs default texture
-                    if (hasFaceSpecificTexture || hasDefaultTexture) {
-                        // Create geometry arrays for this block+face if they don't exist
-                        const textureKey = blockName + (hasFaceSpecificTexture ? '_' + faceName : '');
-                        if (!texturedGeometries[textureKey]) {
-                            texturedGeometries[textureKey] = {
-                                vertices: [],
-                                indices: [],
-                                uvs: [],
-                                normals: [],
-                                vertexCount: 0,
-                                blockName: blockName,
-                                faceName: hasFaceSpecificTexture ? faceName : null,
-                                color: colObj.color || { r: 1, g: 1, b: 1 }
-                            };
+                    const faceShade = shadeFace(face, x, y, z);
+                    if (masks && !colObj.fluid && faceShade[0] === faceShade[1] &&
+                        faceShade[1] === faceShade[2] && faceShade[2] === faceShade[3]) {
+                        const maskKey = blockType * 256 + Math.round(faceShade[0] * 255);
+                        let faceId = maskIds.get(maskKey);
+                        if (faceId === undefined && maskFaces.length <= 0xFFFF) {
+                            faceId = maskFaces.length;
+                            maskIds.set(maskKey, faceId);
+                            maskFaces.push({ blockType, shade: faceShade.slice() });
                         }
-
-                        const geo = texturedGeometries[textureKey];
-                        const nxn = face.dir[0], nyn = face.dir[1], nzn = face.dir[2];
-                        for (let i = 0; i < 4; i++) {
-                            const v = face.vertices[i];
-                            geo.vertices.push(
-                                cx * CHUNK_SIZE + x + v[0],
-                                y + v[1],
-                                cz * CHUNK_SIZE + z + v[2]
-                            );
-                            geo.normals.push(nxn, nyn, nzn);
+                        if (faceId !== undefined) {
+                            masks[f][base + y] = faceId;
+                            continue;
                         }
-                        
-                        // Push UVs based on face
-                        geo.uvs.push(0, 0, 1, 0, 1, 1, 0, 1);
-                        
-                        geo.indices.push(
-                            geo.vertexCount, geo.vertexCount + 1, geo.vertexCount + 2,
-                            geo.vertexCount, geo.vertexCount + 2, geo.vertexCount + 3
-                        );
-                        geo.vertexCount += 4;
-                        continue;
                     }
+                    pushFace(bufferFor(colObj), face,
+                        x, y, z, fluidTop, faceBottom, colObj, faceName, 1, 1, faceShade);
+                }
+            }
+        }
+    }
 
-                    // Handle non-textured faces
-                    const baseColor = colObj.color || { r: 1, g: 1, b: 1 };
-                    if (colObj.transparency === 1) {
-                        const nxn = face.dir[0], nyn = face.dir[1], nzn = face.dir[2];
-                        for (let i = 0; i < 4; i++) {
-                            const vertex = face.vertices[i];
-                            oVertices.push(
-                                cx * CHUNK_SIZE + x + vertex[0],
-                                y + vertex[1],
-                                cz * CHUNK_SIZE + z + vertex[2]
-                            );
-                            oColors.push(baseColor.r, baseColor.g, baseColor.b);
-                            oNormals.push(nxn, nyn, nzn);
-                        }
-                        oUVs.push(0, 0, 1, 0, 1, 1, 0, 1);
-                        oIndices.push(
-                            oVertexCount, oVertexCount + 1, oVertexCount + 2,
-                            oVertexCount, oVertexCount + 2, oVertexCount + 3
-                        );
-                        oVertexCount += 4;
-                    } else {
-                        const nxn = face.dir[0], nyn = face.dir[1], nzn = face.dir[2];
-                        for (let i = 0; i < 4; i++) {
-                            const vertex = face.vertices[i];
-                            tVertices.push(
-                                cx * CHUNK_SIZE + x + vertex[0],
-                                y + vertex[1],
-                                cz * CHUNK_SIZE + z + vertex[2]
-                            );
-                            tColors.push(baseColor.r, baseColor.g, baseColor.b);
-                            tNormals.push(nxn, nyn, nzn);
-                        }
-                        tUVs.push(0, 0, 1, 0, 1, 1, 0, 1);
-                        tIndices.push(
-                            tVertexCount, tVertexCount + 1, tVertexCount + 2,
-                            tVertexCount, tVertexCount + 2, tVertexCount + 3
-                        );
-                        tVertexCount += 4;
-                    }
+    if (masks) mergeFaceMasks(masks, maskFaces, bufferFor, maxY);
+
+    const transparentBuffers = [...transparent.values()];
+    return {
+        opaque: toTypedBuffer(opaque),
+        // [{ sideRendering, alphaTest, ...typed buffer }], one per transparent material
+        transparent: transparentBuffers.map(buffer => Object.assign(toTypedBuffer(buffer), {
+            sideRendering: buffer.sideRendering,
+            alphaTest: buffer.alphaTest
+        })),
+        stats: {
+            mesher: MESHER,
+            vertices: transparentBuffers.reduce((total, buffer) => total + buffer.vertexCount, opaque.vertexCount),
+            ms: performance.now() - startTime
+        }
+    };
+}
+
+// Helper function to get all transferable buffers from geometry data
+function getTransferableBuffers(geometryData) {
+    return [geometryData.opaque, ...geometryData.transparent].flatMap(buf => [
+        buf.vertices.buffer,
+        buf.indices.buffer,
+        buf.uvs.buffer,
+        buf.tiles.buffer,
+        buf.colors.buffer,
+        buf.normals.buffer
+    ]);
+}
+
+// ===== SEEDED NOISE =====
+// Every noise layer is derived from the world seed alone, so any worker in the
+// pool produces identical terrain for the same seed and chunk coordinates.
+
+// Hash a numeric or string seed into an unsigned 32-bit integer (FNV-1a for strings)
+function hashSeed(seed) {
+    if (typeof seed === "number" && Number.isInteger(seed)) return seed >>> 0;
+    const str = String(seed);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// Small, fast seeded PRNG returning floats in [0, 1)
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function fade(t) { return t * t * t * (t * (t * 6 - 15) + 10); }
+function lerp(t, a, b) { return a + t * (b - a); }
+function smoothstep(edge0, edge1, v) {
+    const t = clamp01((v - edge0) / (edge1 - edge0));
+    return t * t * (3 - 2 * t);
+}
+
+function grad2(hash, x, y) {
+    switch (hash & 7) {
+        case 0: return x + y;
+        case 1: return -x + y;
+        case 2: return x - y;
+        case 3: return -x - y;
+        case 4: return x;
+        case 5: return -x;
+        case 6: return y;
+        default: return -y;
+    }
+}
+
+// 2D Perlin noise with a permutation table shuffled from the seed. Output is roughly [-1, 1]
+function createNoise2D(seed) {
+    const random = mulberry32(seed);
+    const p = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) p[i] = i;
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const t = p[i]; p[i] = p[j]; p[j] = t;
+    }
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+
+    return function(x, y) {
+        const floorX = Math.floor(x), floorY = Math.floor(y);
+        const X = floorX & 255, Y = floorY & 255;
+        x -= floorX;
+        y -= floorY;
+        const u = fade(x), v = fade(y);
+        const A = perm[X] + Y, B = perm[X + 1] + Y;
+        return lerp(v,
+            lerp(u, grad2(perm[A], x, y), grad2(perm[B], x - 1, y)),
+            lerp(u, grad2(perm[A + 1], x, y - 1), grad2(perm[B + 1], x - 1, y - 1))
+        );
+    };
+}
+
+// Fractal (fBm) noise for one config layer: { frequency, amplitude, octaves, ridged?, warp? }
+// Returns values in [-amplitude, amplitude], or [0, amplitude] for ridged layers
+function createOctaveNoise(seed, layer) {
+    const noise = createNoise2D(seed);
+    const warpNoise = layer.warp ? createNoise2D(hashSeed(`${seed}:warp`)) : null;
+    const frequency = layer.frequency ?? 0.01;
+    const amplitude = layer.amplitude ?? 1;
+    const octaves = Math.max(1, layer.octaves | 0);
+    const ridged = !!layer.ridged;
+    const warp = layer.warp || 0;
+
+    // Offset each octave so they don't all share a lattice origin
+    const random = mulberry32(hashSeed(`${seed}:offsets`));
+    const offsets = [];
+    let norm = 0;
+    for (let i = 0; i < octaves; i++) {
+        offsets.push([random() * 4096, random() * 4096]);
+        norm += Math.pow(0.5, i);
+    }
+
+    return {
+        amplitude,
+        sample(x, z) {
+            if (warpNoise) {
+                const wx = warpNoise(x * frequency, z * frequency);
+                const wz = warpNoise(x * frequency + 31.7, z * frequency + 47.3);
+                x += wx * warp;
+                z += wz * warp;
+            }
+            let sum = 0, amp = 1, freq = frequency;
+            for (let i = 0; i < octaves; i++) {
+                let n = noise(x * freq + offsets[i][0], z * freq + offsets[i][1]);
+                if (ridged) {
+                    n = 1 - Math.abs(n);
+                    n *= n;
                 }
+                sum += n * amp;
+                amp *= 0.5;
+                freq *= 2;
             }
+            return (sum / norm) * amplitude;
         }
+    };
+}
+
+// ===== TERRAIN GENERATION =====
+// Heights come from config.json's terrain.noiseConfig:
+// - multinoise continentalness/erosion/peaksValleys decide where land, plains and mountains are
+// - terrainShaper turns those three values into a base elevation
+// - continental/regional/local/detail/micro octaves add relief on top, damped by erosion
+// - the biome blend shifts the base height and scales the small-scale octaves
+
+let WORLD_SEED = 0;
+let TERRAIN = null;        // { seaLevel, noiseConfig, terrainBounds, defaultBiome } from the main thread
+let BIOMES = null;         // biomes.json "biomes" section merged from all game packs
+let terrainNoise = null;   // Layer samplers built for the current seed + config
+let biomeTable = null;     // Parsed BIOMES, built alongside terrainNoise
+let terrainNoiseKey = null;
+
+// Constants arrive again whenever any of them change; only rebuild noise when seed or config changed
+function setTerrainConstants(seed, terrain, biomes, structures) {
+    const key = `${seed}|${JSON.stringify(terrain)}|${JSON.stringify(biomes)}|${JSON.stringify(structures)}`;
+    if (key === terrainNoiseKey) return;
+    WORLD_SEED = seed;
+    TERRAIN = terrain;
+    BIOMES = biomes;
+    STRUCTURES = structures;
+    terrainNoise = null;
+    biomeTable = null;
+    structureTable = null;
+    terrainNoiseKey = key;
+}
+
+const RELIEF_LAYERS = ["continental", "regional", "local", "detail", "micro"];
+const BIOME_SCALED_LAYERS = ["local", "detail", "micro"]; // scaled by a biome's heightVariation
+
+function getTerrainNoise() {
+    if (terrainNoise) return terrainNoise;
+
+    const noiseConfig = (TERRAIN && TERRAIN.noiseConfig) || {};
+    const multinoise = noiseConfig.multinoise || {};
+    const layer = (name, cfg) => createOctaveNoise(hashSeed(`${WORLD_SEED}:${name}`), cfg || {});
+
+    terrainNoise = {
+        continentalness: layer("continentalness", multinoise.continentalness || { frequency: 0.0008, octaves: 6 }),
+        erosion: layer("erosion", multinoise.erosion || { frequency: 0.002, octaves: 4 }),
+        peaksValleys: layer("peaksValleys", multinoise.peaksValleys || { frequency: 0.0032, octaves: 4, ridged: true }),
+        temperature: layer("temperature", multinoise.temperature || { frequency: 0.0009, octaves: 3, warp: 140 }),
+        humidity: layer("humidity", multinoise.humidity || { frequency: 0.0011, octaves: 3, warp: 140 }),
+        relief: RELIEF_LAYERS.filter(name => noiseConfig[name]).map(name => ({
+            noise: layer(name, noiseConfig[name]),
+            biomeScaled: BIOME_SCALED_LAYERS.includes(name)
+        })),
+        shaper: Object.assign({
+            mountainScale: 130,
+            pvExponent: 1.35,
+            erosionMin: 0.1,
+            erosionWeight: 1,
+            baseSpanBelow: 35,
+            baseSpanAbove: 100
+        }, noiseConfig.terrainShaper)
+    };
+    return terrainNoise;
+}
+
+// Keep heights inside terrainBounds. "adaptive" bounds compress heights smoothly
+// as they approach the limit instead of flattening them into a hard plateau.
+function applyTerrainBounds(height) {
+    const bounds = (TERRAIN && TERRAIN.terrainBounds) || {};
+    const margin = bounds.safety_margin ?? 0;
+    const minY = Math.max(1, bounds.min_elevation ?? 1);
+    const maxY = Math.min(bounds.max_elevation ?? WORLD_HEIGHT - 1, WORLD_HEIGHT - 1);
+
+    if (bounds.adaptive_max && margin > 0 && height > maxY - margin) {
+        const over = height - (maxY - margin);
+        height = maxY - margin + margin * (1 - Math.exp(-over / margin));
     }
+    if (bounds.adaptive_min && margin > 0 && height < minY + margin) {
+        const under = (minY + margin) - height;
+        height = minY + margin - margin * (1 - Math.exp(-under / margin));
+    }
+    return Math.max(minY, Math.min(maxY, Math.floor(height)));
+}
 
-    // Create array typed buffers for efficient transfer
-    const geometryData = {
-        opaque: {
-            vertices: new Float32Array(oVertices),
-            indices: new Uint32Array(oIndices),
-            uvs: new Float32Array(oUVs),
-            colors: new Float32Array(oColors),
-            normals: new Float32Array(oNormals)
-        },
-        transparent: {
-            vertices: new Float32Array(tVertices),
-            indices: new Uint32Array(tIndices),
-            uvs: new Float32Array(tUVs),
-            colors: new Float32Array(tColors),
-            normals: new Float32Array(tNormals)
-        },
-        textured: []
+// Pure function of (seed, config, x, z): the surface height of a world column.
+// blend is the column's biome blend ({ baseOffset, variationScale }), if any.
+function sampleTerrainHeight(wx, wz, blend) {
+    const noise = getTerrainNoise();
+    const shaper = noise.shaper;
+    const seaLevel = TERRAIN ? TERRAIN.seaLevel : 50;
+
+    const continentalness = noise.continentalness.sample(wx, wz) / (noise.continentalness.amplitude || 1);
+    const erosion = noise.erosion.sample(wx, wz) / (noise.erosion.amplitude || 1);
+    const peaks = noise.peaksValleys.sample(wx, wz) / (noise.peaksValleys.amplitude || 1);
+
+    // Continentalness raises land above sea level or sinks ocean floors below it
+    let height = seaLevel + (continentalness < 0
+        ? continentalness * shaper.baseSpanBelow
+        : continentalness * shaper.baseSpanAbove);
+
+    // High erosion flattens terrain; mountains only rise inland
+    const erosionFactor = Math.max(shaper.erosionMin, 1 - ((erosion + 1) / 2) * shaper.erosionWeight);
+    const inland = smoothstep(-0.05, 0.35, continentalness);
+    height += Math.pow(peaks, shaper.pvExponent) * shaper.mountainScale * erosionFactor * inland;
+
+    const variationScale = blend ? blend.variationScale : 1;
+    for (const layer of noise.relief) {
+        height += layer.noise.sample(wx, wz) * erosionFactor * (layer.biomeScaled ? variationScale : 1);
+    }
+    if (blend) height += blend.baseOffset;
+
+    return applyTerrainBounds(height);
+}
+
+// ===== BIOMES =====
+// Biomes are picked per column from temperature/humidity noise (mapped onto the
+// 0-100 scale biomes.json uses). Neighbouring biomes are weighted by climate
+// distance so heights blend smoothly, and border columns dither between biomes.
+
+const CLIMATE_SPREAD = 0.35;   // noise value that maps to the 0 / 100 ends of the climate scale
+const BIOME_BLEND_WIDTH = 12;  // climate distance over which two biomes blend ("Mostly")
+const BIOME_TRANSITIONS = { None: 0.25, Mostly: 1, Full: 2 };
+
+// Integer hash of a column, used for per-column random choices (layer counts, dithering)
+function hashColumn(seed, x, z) {
+    let h = Math.imul(seed ^ 0x27d4eb2d, 0x165667b1);
+    h = Math.imul(h ^ x, 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13) ^ z, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+function randomColumn(seed, x, z) { return hashColumn(seed, x, z) / 4294967296; }
+
+// Parse a layer "number" (see the BIOMES notes in index.html):
+//   3 or "3"   -> exactly 3 blocks
+//   "2-4"      -> 2 to 4 blocks, chosen per column
+//   "$40-60"   -> an absolute coordinate band: every block of the column with 40 <= y <= 60
+function parseLayerCount(number) {
+    if (typeof number === "number") return { kind: "count", min: number, max: number };
+    const str = String(number).trim();
+    const coords = str.match(/^\$\s*(-?\d+)\s*-\s*(-?\d+)$/);
+    if (coords) {
+        const a = parseInt(coords[1], 10), b = parseInt(coords[2], 10);
+        return { kind: "coords", min: Math.min(a, b), max: Math.max(a, b) };
+    }
+    const range = str.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (range) {
+        const a = parseInt(range[1], 10), b = parseInt(range[2], 10);
+        return { kind: "count", min: Math.min(a, b), max: Math.max(a, b) };
+    }
+    const single = parseInt(str, 10);
+    return { kind: "count", min: single || 0, max: single || 0 };
+}
+
+function getBiomeTable() {
+    if (biomeTable) return biomeTable;
+    const id = (name) => (BLOCK_TYPES && BLOCK_TYPES[name] !== undefined) ? BLOCK_TYPES[name] : undefined;
+    const fallbackId = id("stone") ?? 1;
+
+    const entries = Object.entries(BIOMES || {}).map(([name, def], index) => ({
+        name,
+        index,
+        temperature: def.temperature ?? 50,
+        humidity: def.humidity ?? 50,
+        baseHeight: def.baseHeight ?? 64,
+        heightVariation: def.heightVariation ?? 4,
+        blendWidth: BIOME_BLEND_WIDTH * (BIOME_TRANSITIONS[def.transition] ?? 1),
+        defaultLayer: id(def.defaultLayer) ?? fallbackId,
+        layers: (def.layers || []).map((layer, layerIndex) => ({
+            block: id(layer.type) ?? fallbackId,
+            count: parseLayerCount(layer.number ?? 1),
+            seed: hashSeed(`${WORLD_SEED}:${name}:layer${layerIndex}`)
+        })),
+        structures: def.structures || []
+    }));
+
+    const count = entries.length || 1;
+    biomeTable = {
+        entries,
+        byName: new Map(entries.map(e => [e.name, e])),
+        meanBaseHeight: entries.reduce((sum, e) => sum + e.baseHeight, 0) / count,
+        meanVariation: entries.reduce((sum, e) => sum + e.heightVariation, 0) / count,
+        ditherSeed: hashSeed(`${WORLD_SEED}:biomeDither`)
     };
+    biomeTable.fallback = biomeTable.byName.get(TERRAIN && TERRAIN.defaultBiome) || entries[0] || null;
+    return biomeTable;
+}
 
-    // Convert textured geometries to typed arrays
-    for (const [key, geo] of Object.entries(texturedGeometries)) {
-        geometryData.textured.push({
-            key: key,
-            vertices: new Float32Array(geo.vertices),
-            indices: new Uint32Array(geo.indices),
-            uvs: new Float32Array(geo.uvs),
-            normals: new Float32Array(geo.normals),
-            blockName: geo.blockName,
-            faceName: geo.faceName,
-            color: geo.color || { r: 1, g: 1, b: 1 } // Include color for fallback rendering
-        });
+function toClimate(value) {
+    return 50 + 50 * Math.max(-1, Math.min(1, value / CLIMATE_SPREAD));
+}
+
+// Sample one world column: surface height plus the biome that owns its surface
+function sampleColumn(wx, wz) {
+    const table = getBiomeTable();
+    if (!table.entries.length) {
+        return { height: sampleTerrainHeight(wx, wz), biome: null };
+    }
+
+    const noise = getTerrainNoise();
+    const temperature = toClimate(noise.temperature.sample(wx, wz) / (noise.temperature.amplitude || 1));
+    const humidity = toClimate(noise.humidity.sample(wx, wz) / (noise.humidity.amplitude || 1));
+
+    // Gaussian weights by climate distance; the closest biome dominates away from borders
+    let total = 0, best = null, bestWeight = -1;
+    const weights = new Array(table.entries.length);
+    for (const entry of table.entries) {
+        const dt = temperature - entry.temperature;
+        const dh = humidity - entry.humidity;
+        const w = Math.exp(-(dt * dt + dh * dh) / (2 * entry.blendWidth * entry.blendWidth));
+        weights[entry.index] = w;
+        total += w;
+        if (w > bestWeight) { bestWeight = w; best = entry; }
+    }
+
+    let baseHeight = best.baseHeight, variation = best.heightVariation;
+    if (total > 0) {
+        baseHeight = 0;
+        variation = 0;
+        for (const entry of table.entries) {
+            const w = weights[entry.index] / total;
+            baseHeight += entry.baseHeight * w;
+            variation += entry.heightVariation * w;
+        }
     }
 
-    return geometryData;
+    const height = sampleTerrainHeight(wx, wz, {
+        baseOffset: baseHeight - table.meanBaseHeight,
+        variationScale: table.meanVariation > 0 ? variation / table.meanVariation : 1
+    });
+
+    // Dither the surface biome where weights are close so borders look natural
+    let biome = best;
+    if (total > 0 && bestWeight / total < 0.85) {
+        const sharpness = 4;
+        let sum = 0;
+        for (const entry of table.entries) sum += Math.pow(weights[entry.index] / total, sharpness);
+        let pick = randomColumn(table.ditherSeed, wx, wz) * sum;
+        for (const entry of table.entries) {
+            pick -= Math.pow(weights[entry.index] / total, sharpness);
+            if (pick <= 0) { biome = entry; break; }
+        }
+    }
+
+    return { height, biome };
 }
 
-// Helper function to get all transferable buffers from geometry data
-function getTransferableBuffers(geometryData) {
-    const buffers = [
-        geometryData.opaque.vertices.buffer,
-        geometryData.opaque.indices.buffer,
-        geometryData.opaque.uvs.buffer,
-        geometryData.opaque.colors.buffer,
-        geometryData.opaque.normals.buffer,
-        geometryData.transparent.vertices.buffer,
-        geometryData.transparent.indices.buffer,
-        geometryData.transparent.uvs.buffer,
-        geometryData.transparent.colors.buffer,
-        geometryData.transparent.normals.buffer
-    ];
-    
-    // Add textured geometry buffers
-    if (geometryData.textured) {
-        for (const tex of geometryData.textured) {
-            buffers.push(tex.vertices.buffer);
-            buffers.push(tex.indices.buffer);
-            buffers.push(tex.uvs.buffer);
-            buffers.push(tex.normals.buffer);
+// Block for height y in a column whose surface is groundY, following the biome's layers.
+// Count layers stack down from the surface; coordinate layers claim an absolute band.
+// Where several layers cover the same y the earlier layer in the list wins.
+function resolveColumnLayers(biome, wx, wz, groundY) {
+    const spans = [];
+    let cursor = groundY;
+    for (const layer of biome.layers) {
+        if (layer.count.kind === "coords") {
+            spans.push({ top: Math.min(layer.count.max, groundY), bottom: layer.count.min, block: layer.block });
+            continue;
         }
+        const { min, max } = layer.count;
+        const count = min === max ? min : min + Math.floor(randomColumn(layer.seed, wx, wz) * (max - min + 1));
+        if (count <= 0) continue;
+        spans.push({ top: cursor, bottom: cursor - count + 1, block: layer.block });
+        cursor -= count;
     }
-    
-    return buffers;
-}
-
-// Fast-path geometry builder for flat worlds using heightMap (top faces only)
-function buildChunkGeometryFast(chunkData, cx, cz) {
-    const texturedGeometries = {};
-    const oVertices = [], oIndices = [], oUVs = [], oColors = [], oNormals = [];
-        let oVertexCount = 0;
-    const tVertices = [], tIndices = [], tUVs = [], tColors = [], tNormals = [];
-        let tVertexCount = 0;
-
-        const {heightMap} = chunkData;
-        if (!heightMap) {
-            // Fallback to full builder if heightMap not present
-            return buildChunkGeometry(chunkData, cx, cz);
-        }
-
-        for (let x = 0; x < CHUNK_SIZE; x++) {
-            for (let z = 0; z < CHUNK_SIZE; z++) {
-                const idx = z * CHUNK_SIZE + x;
-                let topY = heightMap[idx];
-                if (topY === undefined || topY === null || topY < 0) continue;
-
-                // Get top block type from data if available
-                const col = chunkData[x];
-                if (!col) continue;
-                const row = col[topY];
-                if (!row) continue;
-                const blockType = row[z] || 0;
-                if (blockType === 0) continue;
-
-                const blockName = getBlockName(blockType);
-                const colObj = blockColors[blockName] || { color: { r: 1, g: 1, b: 1 }, transparency: 1 };
-
-                // Only add top face at (x, topY, z)
-                const face = faces[4]; // top
-                const faceName = faceNames[4];
-
-                // Check textures
-                let hasFaceSpecificTexture = colObj.faces && colObj.faces[faceName] && colObj.faces[faceName].hasTexture;
-                let {hasDefaultTexture} = colObj;
-
-                if (hasFaceSpecificTexture || hasDefaultTexture) {
-                    const textureKey = blockName + (hasFaceSpecificTexture ? '_' + faceName : '');
-                    if (!texturedGeometries[textureKey]) {
-                        texturedGeometries[textureKey] = {
-                            vertices: [],
-                            indices: [],
-                            uvs: [],
-                            normals: [],
-                            vertexCount: 0,
-                            blockName: blockName,
-                            faceName: hasFaceSpecificTexture ? faceName : null,
-                            color: colObj.color || { r: 1, g: 1, b: 1 }
-                        };
-                    }
-                    const geo = texturedGeometries[textureKey];
-                    const nxn = face.dir[0], nyn = face.dir[1], nzn = face.dir[2];
-                    for (let i = 0; i < 4; i++) {
-                        const v = face.vertices[i];
-                        geo.vertices.push(
-                            cx * CHUNK_SIZE + x + v[0],
-                            topY + v[1],
-                            cz * CHUNK_SIZE + z + v[2]
-                        );
-                        geo.normals.push(nxn, nyn, nzn);
-                    }
-                    geo.uvs.push(0, 0, 1, 0, 1, 1, 0, 1);
-                    geo.indices.push(
-                        geo.vertexCount, geo.vertexCount + 1, geo.vertexCount + 2,
-                        geo.vertexCount, geo.vertexCount + 2, geo.vertexCount + 3
-                    );
-                    geo.vertexCount += 4;
-                } else {
-                    const baseColor = colObj.color || { r: 1, g: 1, b: 1 };
-                    const nxn = face.dir[0], nyn = face.dir[1], nzn = face.dir[2];
-                    for (let i = 0; i < 4; i++) {
-                        const v = face.vertices[i];
-                        oVertices.push(
-                            cx * CHUNK_SIZE + x + v[0],
-                            topY + v[1],
-                            cz * CHUNK_SIZE + z + v[2]
-                        );
-                        oColors.push(baseColor.r, baseColor.g, baseColor.b);
-                        oNormals.push(nxn, nyn, nzn);
-                    }
-                    oUVs.push(0, 0, 1, 0, 1, 1, 0, 1);
-                    oIndices.push(
-                        oVertexCount, oVertexCount + 1, oVertexCount + 2,
-                        oVertexCount, oVertexCount + 2, oVertexCount + 3
-                    );
-                    oVertexCount += 4;
+    return spans;
+}
+
+function getLayerBlock(spans, biome, y) {
+    for (let i = 0; i < spans.length; i++) {
+        if (y <= spans[i].top && y >= spans[i].bottom) return spans[i].block;
+    }
+    return biome.defaultLayer;
+}
+
+// ===== STRUCTURES =====
+// Structures from structures.json are placed after terrain. Candidate positions come
+// from a per-structure grid hashed with the world seed, so every chunk a structure
+// overlaps reaches the same decision on its own and writes only its own blocks:
+// a tree whose canopy crosses a chunk border is completed when the neighbor generates.
+
+let STRUCTURES = null;     // { structures, structureGenerators } merged from all game packs
+let structureTable = null; // Parsed STRUCTURES for the current seed
+
+// Chance that a grid cell holds the structure, by rarity name (a number is used as-is)
+const STRUCTURE_RARITY = { common: 0.6, uncommon: 0.3, rare: 0.1, very_rare: 0.03, legendary: 0.01 };
+
+// Generator algorithms. A structure picks one through structureGenerators.<id>.algorithm,
+// generator.algorithm, or its generator.type; game packs add new structures purely as data.
+// Each algorithm receives ctx = { def, generator, params, random, block(name), set(dx, dy, dz, id, replace) }
+// with (0, 0, 0) being the first block above the ground at the centre of the footprint.
+const STRUCTURE_ALGORITHMS = {
+    // Trunk plus a (roughly) spherical canopy
+    procedural_tree(ctx) {
+        const { generator, params, random } = ctx;
+        const range = params.trunk_height_range || parseRange(generator.trunkHeight, [4, 6]);
+        const trunkHeight = range[0] + Math.floor(random() * (range[1] - range[0] + 1));
+        const trunkWidth = params.trunk_width || 1;
+        const radius = params.leaf_radius ?? generator.leafRadius ?? 2;
+        const density = params.leaf_density ?? 1;
+        const trunk = ctx.block(generator.trunkMaterial || "wood");
+        const leaves = ctx.block(generator.leafMaterial || "leaves");
+        const half = Math.floor((trunkWidth - 1) / 2);
+
+        for (let y = 0; y < trunkHeight; y++) {
+            for (let dx = -half; dx < trunkWidth - half; dx++) {
+                for (let dz = -half; dz < trunkWidth - half; dz++) ctx.set(dx, y, dz, trunk, true);
+            }
+        }
+        const top = trunkHeight - 1;
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dz = -radius; dz <= radius; dz++) {
+                    const dist = dx * dx + dy * dy + dz * dz;
+                    if (params.leaf_shape !== "cube" && dist > radius * radius + 1) continue;
+                    // Thin out the outer shell according to leaf_density
+                    if (dist >= radius * radius && random() > density) continue;
+                    ctx.set(dx, top + dy + 1, dz, leaves, false);
                 }
             }
         }
+    },
+
+    // Hollow box: foundation, walls, flat roof, a door and windows
+    box_structure(ctx) {
+        const { def, generator, params } = ctx;
+        const dims = def.dimensions || {};
+        const width = dims.width || 5, height = dims.height || 5, depth = dims.depth || 5;
+        const materials = generator.materials || {};
+        const features = generator.features || {};
+        const foundation = ctx.block(materials.foundation || "stone");
+        const walls = ctx.block(materials.walls || "wood");
+        const roof = ctx.block(materials.roof || materials.walls || "wood");
+        const door = ctx.block(materials.door || "air");
+        const windows = ctx.block(materials.windows || "air");
+        const foundationThickness = params.foundation_thickness ?? 1;
+        const wallThickness = params.wall_thickness ?? 1;
+        const doorHeight = params.door_height ?? 2;
+        const windowSize = params.window_size ?? 1;
+        const x0 = -Math.floor(width / 2), z0 = -Math.floor(depth / 2);
+
+        for (let dx = 0; dx < width; dx++) {
+            for (let dz = 0; dz < depth; dz++) {
+                const edge = dx < wallThickness || dz < wallThickness ||
+                    dx >= width - wallThickness || dz >= depth - wallThickness;
+                for (let dy = -foundationThickness; dy < height; dy++) {
+                    let id;
+                    if (dy < 0) id = foundation;
+                    else if (dy === height - 1 && features.roof !== false) id = roof;
+                    else id = edge ? walls : 0;
+                    ctx.set(x0 + dx, dy, z0 + dz, id, true);
+                }
+            }
+        }
+
+        // Door in the middle of the front (-z) wall
+        if (features.door) {
+            for (let dy = 0; dy < Math.min(doorHeight, height - 1); dy++) ctx.set(0, dy, z0, door, true);
+        }
+        // Windows spread along the side walls, one block above the floor
+        const windowCount = features.windows | 0;
+        const wy = Math.min(1, height - 2);
+        for (let i = 0; i < windowCount; i++) {
+            const side = i % 2 === 0 ? x0 : x0 + width - 1;
+            const slot = Math.floor(i / 2) + 1;
+            const wz = z0 + Math.round(slot * depth / (Math.ceil(windowCount / 2) + 1));
+            for (let s = 0; s < windowSize; s++) ctx.set(side, wy + s, wz, windows, true);
+        }
+    },
+
+    // Explicit block list: generator.blocks = [[dx, dy, dz, "block"], ...]
+    block_list(ctx) {
+        for (const [dx, dy, dz, name] of ctx.generator.blocks || []) ctx.set(dx, dy, dz, ctx.block(name), true);
+    },
 
-        const geometryData = {
-            opaque: {
-                vertices: new Float32Array(oVertices),
-                indices: new Uint32Array(oIndices),
-                uvs: new Float32Array(oUVs),
-                colors: new Float32Array(oColors),
-                normals: new Float32Array(oNormals)
-            },
-            transparent: {
-                vertices: new Float32Array(tVertices),
-                indices: new Uint32Array(tIndices),
-                uvs: new Float32Array(tUVs),
-                colors: new Float32Array(tColors),
-                normals: new Float32Array(tNormals)
-            },
-            textured: []
-        };
-
-        for (const [key, geo] of Object.entries(texturedGeometries)) {
-            geometryData.textured.push({
-                key,
-                vertices: new Float32Array(geo.vertices),
-                indices: new Uint32Array(geo.indices),
-                uvs: new Float32Array(geo.uvs),
-                normals: new Float32Array(geo.normals),
-                blockName: geo.blockName,
-                faceName: geo.faceName,
-                color: geo.color || { r: 1, g: 1, b: 1 }
+    // Layered schematic: generator.layers = bottom-to-top slices, each an array of rows (along z)
+    // whose characters map through generator.palette. Characters missing from the palette are skipped.
+    layers(ctx) {
+        const palette = ctx.generator.palette || {};
+        const layers = ctx.generator.layers || [];
+        layers.forEach((rows, dy) => {
+            const z0 = -Math.floor(rows.length / 2);
+            rows.forEach((row, rz) => {
+                const x0 = -Math.floor(row.length / 2);
+                for (let rx = 0; rx < row.length; rx++) {
+                    const name = palette[row[rx]];
+                    if (name === undefined) continue;
+                    ctx.set(x0 + rx, dy, z0 + rz, ctx.block(name), true);
+                }
             });
+        });
+    }
+};
+
+// Fallback algorithm for each generator.type
+const STRUCTURE_TYPE_ALGORITHMS = { procedural: "procedural_tree", schematic: "box_structure" };
+
+// "40-60" -> [40, 60]; numbers and single values become [n, n]
+function parseRange(value, fallback) {
+    if (typeof value === "number") return [value, value];
+    if (Array.isArray(value)) return [value[0], value[1] ?? value[0]];
+    if (typeof value === "string") {
+        const parts = value.split("-").map(v => parseInt(v, 10));
+        if (!isNaN(parts[0])) return [parts[0], isNaN(parts[1]) ? parts[0] : parts[1]];
+    }
+    return fallback;
+}
+
+function resolveStructureAlgorithm(id, def, generatorDef) {
+    const generator = def.generator || {};
+    const name = (generatorDef && generatorDef.algorithm) || generator.algorithm ||
+        (generator.blocks ? "block_list" : null) || (generator.layers ? "layers" : null) ||
+        STRUCTURE_TYPE_ALGORITHMS[generator.type];
+    if (!STRUCTURE_ALGORITHMS[name]) {
+        console.warn(`Structure "${id}" uses unknown generator "${name}", skipping`);
+        return null;
+    }
+    return STRUCTURE_ALGORITHMS[name];
+}
+
+function getStructureTable() {
+    if (structureTable) return structureTable;
+    const defs = (STRUCTURES && STRUCTURES.structures) || {};
+    const generators = (STRUCTURES && STRUCTURES.structureGenerators) || {};
+    const entries = [];
+
+    for (const id of Object.keys(defs).sort()) {
+        const def = defs[id];
+        const algorithm = resolveStructureAlgorithm(id, def, generators[id]);
+        if (!algorithm) continue;
+        const dims = def.dimensions || {};
+        const placement = def.placement || {};
+        const footprint = Math.max(dims.width || 1, dims.depth || 1);
+        const spacing = Math.max(0, placement.spacing ?? 0);
+        entries.push({
+            id,
+            def,
+            algorithm,
+            params: (generators[id] && generators[id].parameters) || {},
+            placement,
+            footprint,
+            extent: Math.ceil(footprint / 2),
+            spacing,
+            // Cell size guarantees at least "spacing" free blocks between neighbouring footprints
+            cellSize: footprint + 2 * spacing,
+            chance: typeof def.rarity === "number" ? def.rarity : (STRUCTURE_RARITY[def.rarity] ?? STRUCTURE_RARITY.common),
+            biomes: Array.isArray(def.biomes) ? def.biomes : [],
+            seed: hashSeed(`${WORLD_SEED}:structure:${id}`)
+        });
+    }
+
+    // Larger structures claim their ground first; smaller ones avoid them
+    entries.sort((a, b) => b.footprint - a.footprint || (a.id < b.id ? -1 : 1));
+    structureTable = {
+        entries,
+        maxExtent: entries.reduce((max, e) => Math.max(max, e.extent), 0)
+    };
+    return structureTable;
+}
+
+// Candidate for a grid cell, or null when the cell stays empty or the placement rules fail
+function evaluateStructureCell(entry, cellX, cellZ) {
+    const hash = hashColumn(entry.seed, cellX, cellZ);
+    const random = mulberry32(hash);
+    if (random() >= entry.chance) return null;
+
+    const x = cellX * entry.cellSize + entry.spacing + Math.floor(random() * (entry.spacing + 1)) + entry.extent;
+    const z = cellZ * entry.cellSize + entry.spacing + Math.floor(random() * (entry.spacing + 1)) + entry.extent;
+    const { height, biome } = sampleColumn(x, z);
+    const placement = entry.placement;
+    const seaLevel = TERRAIN ? TERRAIN.seaLevel : 50;
+
+    if (placement.avoidWater && height < seaLevel) return null;
+    if (placement.minHeight !== undefined && height < placement.minHeight) return null;
+    if (placement.maxHeight !== undefined && height > placement.maxHeight) return null;
+
+    if (entry.biomes.length || (biome && biome.structures.length)) {
+        const allowed = biome && (entry.biomes.includes(biome.name) || biome.structures.includes(entry.id));
+        if (!allowed) return null;
+    }
+
+    if (placement.flatGround) {
+        const tolerance = placement.flatTolerance ?? 1;
+        const e = entry.extent;
+        for (const [ox, oz] of [[-e, -e], [e, -e], [-e, e], [e, e]]) {
+            const h = sampleColumn(x + ox, z + oz).height;
+            if (Math.abs(h - height) > tolerance) return null;
+            if (placement.avoidWater && h < seaLevel) return null;
         }
+    }
 
-        return geometryData;
+    let y = height + 1;
+    if (placement.surface === false) {
+        const minY = placement.minHeight ?? 1;
+        const maxY = Math.min(placement.maxHeight ?? height, height);
+        y = minY + Math.floor(random() * Math.max(1, maxY - minY + 1));
     }
 
-// Helper function to get block from chunk data, handling chunk boundaries (sparse-aware)
-function getBlockFromChunks(globalX, y, globalZ) {
-    if (y < 0 || y >= WORLD_HEIGHT) return 0;
-    
-    const cx = Math.floor(globalX / CHUNK_SIZE);
-    const cz = Math.floor(globalZ / CHUNK_SIZE);
-    const key = `${cx},${cz}`;
-    
-    // Check if we have this chunk
-    const chunk = chunkStorage.get(key);
-    if (!chunk) return 0;
-    
-    const localX = ((globalX % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-    const localZ = ((globalZ % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-    
-    const col = chunk[localX];
-    if (!col) return 0;
-    const row = col[y];
-    if (!row) return 0;
-    return row[localZ] || 0;
+    return { entry, x, y, z, hash, minX: x - entry.extent, maxX: x + entry.extent, minZ: z - entry.extent, maxZ: z + entry.extent };
 }
 
-// Helper function to check if a chunk is loaded
-function isChunkLoaded(cx, cz) {
-    return chunkStorage.has(`${cx},${cz}`);
+function candidatesOverlap(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minZ <= b.maxZ && a.maxZ >= b.minZ;
 }
 
-// Removed noise and seed-dependent utilities as terrain is now flat
+// Collect every candidate of one structure type whose footprint touches [minX..maxX] x [minZ..maxZ]
+function collectStructureCandidates(entry, minX, maxX, minZ, maxZ) {
+    const result = [];
+    const size = entry.cellSize;
+    const pad = entry.extent + size;
+    for (let cellX = Math.floor((minX - pad) / size); cellX <= Math.floor((maxX + pad) / size); cellX++) {
+        for (let cellZ = Math.floor((minZ - pad) / size); cellZ <= Math.floor((maxZ + pad) / size); cellZ++) {
+            const candidate = evaluateStructureCell(entry, cellX, cellZ);
+            if (candidate && candidate.maxX >= minX && candidate.minX <= maxX &&
+                candidate.maxZ >= minZ && candidate.minZ <= maxZ) {
+                result.push(candidate);
+            }
+        }
+    }
+    return result;
+}
 
-// New: Build raw geometry data for a chunk
-function buildGeometryData(chunkData, cx, cz) {
-    // Copy buildChunkGeometry logic but collect raw arrays
-    const oVertices = [], oUVs = [], oColors = [], oIndices = [];
-    const tVertices = [], tUVs = [], tColors = [], tIndices = [];
-    const textured = [];
+// Write every structure that overlaps chunk (cx, cz) into its data
+function placeStructures(data, cx, cz) {
+    const table = getStructureTable();
+    if (!table.entries.length) return;
 
-    // Loop over chunkData to build geometry
-    for (let x = 0; x < CHUNK_SIZE; x++) {
-        for (let z = 0; z < CHUNK_SIZE; z++) {
-            for (let y = 0; y < WORLD_HEIGHT; y++) {
-                const blockType = chunkData[x][y][z];
-                if (blockType === 0) continue; // Skip empty blocks
-
-                const properties = getBlockProperties(blockType);
-                const isTransparent = properties && properties.transparency < 1;
-
-                // Determine if we should cull faces based on neighbors
-                const neighbors = [
-                    { dx: 0, dy: 0, dz: 1 },   // Front
-                    { dx: 0, dy: 0, dz: -1 },  // Back
-                    { dx: 1, dy: 0, dz: 0 },   // Right
-                    { dx: -1, dy: 0, dz: 0 },  // Left
-                    { dx: 0, dy: 1, dz: 0 },   // Top
-                    { dx: 0, dy: -1, dz: 0 }   // Bottom
-                ];
-
-                const faceCull = neighbors.map(dir => {
-                    const nx = x + dir.dx, ny = y + dir.dy, nz = z + dir.dz;
-                    const neighborType = (nx >= 0 && nz >= 0 && nx < CHUNK_SIZE && nz < CHUNK_SIZE) ? chunkData[nx][ny] && chunkData[nx][ny][nz] : 0;
-                    return shouldCullFace(blockType, neighborType, isChunkLoaded(cx + dir.dx, cz + dir.dz));
-                });
-
-                // Push vertices, uvs, colors, indices for each face not culled
-                const addFace = (verts, uvs, cols, inds, baseIndex) => {
-                    const startIndex = verts.length / 3;
-                    verts.push(...verts.slice(baseIndex * 3, baseIndex * 3 + 3));
-                    uvs.push(...uvs.slice(baseIndex * 2, baseIndex * 2 + 2));
-                    cols.push(...cols.slice(baseIndex * 4, baseIndex * 4 + 4));
-                    inds.push(startIndex);
-                };
-
-                // Opaque and transparent face handling
-                if (!isTransparent) {
-                    // Handle opaque block faces
-                    if (!faceCull[0]) addFace(oVertices, oUVs, oColors, oIndices, 0); // Front
-                    if (!faceCull[1]) addFace(oVertices, oUVs, oColors, oIndices, 1); // Back
-                    if (!faceCull[2]) addFace(oVertices, oUVs, oColors, oIndices, 2); // Right
-                    if (!faceCull[3]) addFace(oVertices, oUVs, oColors, oIndices, 3); // Left
-                    if (!faceCull[4]) addFace(oVertices, oUVs, oColors, oIndices, 4); // Top
-                    if (!faceCull[5]) addFace(oVertices, oUVs, oColors, oIndices, 5); // Bottom
-                } else {
-                    // Handle transparent block faces
-                    if (!faceCull[0]) addFace(tVertices, tUVs, tColors, tIndices, 0); // Front
-                    if (!faceCull[1]) addFace(tVertices, tUVs, tColors, tIndices, 1); // Back
-                    if (!faceCull[2]) addFace(tVertices, tUVs, tColors, tIndices, 2); // Right
-                    if (!faceCull[3]) addFace(tVertices, tUVs, tColors, tIndices, 3); // Left
-                    if (!faceCull[4]) addFace(tVertices, tUVs, tColors, tIndices, 4); // Top
-                    if (!faceCull[5]) addFace(tVertices, tUVs, tColors, tIndices, 5); // Bottom
-                }
+    const chunkMinX = cx * CHUNK_SIZE, chunkMaxX = chunkMinX + CHUNK_SIZE - 1;
+    const chunkMinZ = cz * CHUNK_SIZE, chunkMaxZ = chunkMinZ + CHUNK_SIZE - 1;
+    const byType = new Map();
+    const touchedColumns = new Set();
+
+    for (let i = 0; i < table.entries.length; i++) {
+        const entry = table.entries[i];
+        const candidates = collectStructureCandidates(entry, chunkMinX, chunkMaxX, chunkMinZ, chunkMaxZ);
+        byType.set(entry, candidates);
+
+        for (const candidate of candidates) {
+            // Skip spots claimed by a larger structure type. Only those types' own placement
+            // rules are consulted, so every chunk reaches the same answer.
+            let blocked = false;
+            for (let j = 0; j < i && !blocked; j++) {
+                const other = table.entries[j];
+                const nearby = byType.get(other) || [];
+                blocked = nearby.some(c => candidatesOverlap(c, candidate)) ||
+                    collectStructureCandidates(other, candidate.minX, candidate.maxX, candidate.minZ, candidate.maxZ)
+                        .some(c => candidatesOverlap(c, candidate));
             }
+            if (blocked) continue;
+            buildStructure(data, candidate, chunkMinX, chunkMinZ, touchedColumns);
         }
     }
 
-    // At end, return raw arrays
-    return {
-        opaque: { vertices: new Float32Array(oVertices), uvs: new Float32Array(oUVs), colors: new Float32Array(oColors), indices: new Uint32Array(oIndices) },
-        transparent: { vertices: new Float32Array(tVertices), uvs: new Float32Array(tUVs), colors: new Float32Array(tColors), indices: new Uint32Array(tIndices) },
-        textured // keep textureKey and raw arrays per entry
-    };
+    // Structures change column tops; rescan only the columns they touched
+    for (const idx of touchedColumns) {
+        ChunkFormat.updateHeight(data, idx % CHUNK_SIZE, Math.floor(idx / CHUNK_SIZE));
+    }
+}
+
+function buildStructure(data, candidate, chunkMinX, chunkMinZ, touchedColumns) {
+    const { entry } = candidate;
+    const id = (name) => name === "air" ? 0 : ((BLOCK_TYPES && BLOCK_TYPES[name] !== undefined) ? BLOCK_TYPES[name] : undefined);
+    entry.algorithm({
+        def: entry.def,
+        generator: entry.def.generator || {},
+        params: entry.params,
+        random: mulberry32(candidate.hash ^ 0x5bd1e995),
+        block: id,
+        set(dx, dy, dz, blockId, replace) {
+            if (blockId === undefined) return;
+            const x = candidate.x + dx - chunkMinX;
+            const z = candidate.z + dz - chunkMinZ;
+            const y = candidate.y + dy;
+            if (x < 0 || x >= CHUNK_SIZE || z < 0 || z >= CHUNK_SIZE || y < 0 || y >= WORLD_HEIGHT) return;
+            if (!replace && ChunkFormat.get(data, x, y, z)) return;
+            ChunkFormat.set(data, x, y, z, blockId);
+            touchedColumns.add(z * CHUNK_SIZE + x);
+        }
+    });
 }
 
-// Main chunk generation function (flat world)
+// Main chunk generation function (seeded multi-noise terrain)
 function generateChunkData(cx, cz) {
-    // Create the data array with chunk coordinates
-    const data = new Array(CHUNK_SIZE);
-    data.chunkX = cx;
-    data.chunkZ = cz;
-    const heightMap = new Uint16Array(CHUNK_SIZE * CHUNK_SIZE);
+    const data = ChunkFormat.create(cx, cz, CHUNK_SIZE, WORLD_HEIGHT);
+    const { heightMap, indices } = data;
 
-    // Choose simple flat height
-    const GROUND_LEVEL = Math.max(4, Math.floor(WORLD_HEIGHT * 0.25));
+    const seaLevel = Math.min(TERRAIN ? TERRAIN.seaLevel : 50, WORLD_HEIGHT - 1);
 
     // Resolve common block IDs with fallbacks
     const id = (name) => (BLOCK_TYPES && BLOCK_TYPES[name] !== undefined) ? BLOCK_TYPES[name] : undefined;
     const stoneId = id('stone') ?? id('STONE') ?? id('rock') ?? 1;
+    const waterId = id('water') ?? 0;
+    const biomeMap = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
 
     for (let x = 0; x < CHUNK_SIZE; x++) {
-        data[x] = [];
         for (let z = 0; z < CHUNK_SIZE; z++) {
             const idx = z * CHUNK_SIZE + x;
-            const topY = Math.min(GROUND_LEVEL - 1, WORLD_HEIGHT - 1);
+            const wx = cx * CHUNK_SIZE + x;
+            const wz = cz * CHUNK_SIZE + z;
+            const { height: groundY, biome } = sampleColumn(wx, wz);
+            const topY = waterId && groundY < seaLevel ? seaLevel : groundY;
             heightMap[idx] = topY;
+            biomeMap[idx] = biome ? biome.index : 0;
+            const spans = biome ? resolveColumnLayers(biome, wx, wz, groundY) : null;
 
+            const base = (x * CHUNK_SIZE + z) * WORLD_HEIGHT;
             for (let y = 0; y <= topY; y++) {
-                if (!data[x][y]) data[x][y] = [];
-                let blockType = stoneId;
- 
-                data[x][y][z] = blockType;
+                const block = y > groundY ? waterId : (spans ? getLayerBlock(spans, biome, y) : stoneId);
+                indices[base + y] = ChunkFormat.paletteIndex(data, block);
             }
         }
     }
 
-    data.heightMap = heightMap;
+    // Index into Object.keys(BIOMES) for each column (z * CHUNK_SIZE + x), used by the HUD
+    data.biomeMap = biomeMap;
+
+    placeStructures(data, cx, cz);
 
     // Store chunk
-    const key = `${cx},${cz}`;
-    chunkStorage.set(key, data);
+    storeChunk(`${cx},${cz}`, data);
     return data;
 }
 
+// ===== DISTANT TERRAIN =====
+// Level-of-detail tiles stand in for chunks past the main thread's full-detail radius. A tile at
+// level `step` covers step x step chunks with one column sample every `step` blocks, so every tile
+// has CHUNK_SIZE x CHUNK_SIZE samples whatever its level. Samples come straight from the terrain
+// noise, so tiles need no chunk data (structures and player edits only appear in full detail).
+// Each sample is a flat-topped column with walls down to lower neighbors. Walls on a chunk border
+// also rise to the neighbor's height and hang LOD_SKIRT_DEPTH blocks per step below both, covering
+// the seam with whatever draws the neighbor (another level or a full-detail chunk).
+// The index buffer is grouped by chunk cell (cellRanges) so the main thread can draw only the
+// cells no finer level covers.
+const LOD_SKIRT_DEPTH = 2;
+
+// Surface of one world column as seen from afar: its top y and the block showing there
+function sampleLodColumn(wx, wz, seaLevel, waterId, stoneId) {
+    const { height, biome } = sampleColumn(wx, wz);
+    if (waterId && height < seaLevel) return { top: seaLevel, block: waterId };
+    const block = biome ? getLayerBlock(resolveColumnLayers(biome, wx, wz, height), biome, height) : stoneId;
+    return { top: height, block };
+}
+
+function buildLodTile(tx, tz, step) {
+    const startTime = performance.now();
+    const id = (name) => (BLOCK_TYPES && BLOCK_TYPES[name] !== undefined) ? BLOCK_TYPES[name] : undefined;
+    const stoneId = id('stone') ?? 1;
+    const waterId = id('water') ?? 0;
+    const seaLevel = Math.min(TERRAIN ? TERRAIN.seaLevel : 50, WORLD_HEIGHT - 1);
+
+    // Samples of the tile plus a ring from its neighbors, indexed [i * side + k] along x then z
+    const side = CHUNK_SIZE + 2;
+    const originX = tx * CHUNK_SIZE * step, originZ = tz * CHUNK_SIZE * step;
+    const tops = new Int16Array(side * side);
+    const blocks = new Uint16Array(side * side);
+    for (let i = 0; i < side; i++) {
+        for (let k = 0; k < side; k++) {
+            const sample = sampleLodColumn(originX + (i - 1) * step, originZ + (k - 1) * step, seaLevel, waterId, stoneId);
+            tops[i * side + k] = sample.top;
+            blocks[i * side + k] = sample.block;
+        }
+    }
+
+    const buffer = createMeshBuffer();
+    const perCell = CHUNK_SIZE / step; // samples along one side of a chunk cell
+    const skirt = LOD_SKIRT_DEPTH * step;
+    const cellRanges = new Uint32Array(step * step * 2);
+    const merged = new Uint8Array(perCell * perCell);
+    const sameSurface = (a, b) => tops[a] === tops[b] && blocks[a] === blocks[b];
+
+    for (let ci = 0; ci < step; ci++) {
+        for (let ck = 0; ck < step; ck++) {
+            const indexStart = buffer.indices.length;
+            merged.fill(0);
+            for (let a = 0; a < perCell; a++) {
+                for (let b = 0; b < perCell; b++) {
+                    const i = ci * perCell + a + 1, k = ck * perCell + b + 1;
+                    const g = i * side + k;
+                    const top = tops[g];
+                    const props = getBlockProperties(blocks[g]);
+                    const lx = (i - 1) * step, lz = (k - 1) * step; // tile-local
+
+                    // Tops merge with equal samples of the same cell, along z and then x
+                    if (!merged[a * perCell + b]) {
+                        let d = 1;
+                        while (b + d < perCell && !merged[a * perCell + b + d] && sameSurface(g, g + d)) d++;
+                        let w = 1;
+                        grow: for (; a + w < perCell; w++) {
+                            for (let e = 0; e < d; e++) {
+                                if (merged[(a + w) * perCell + b + e] || !sameSurface(g, g + w * side + e)) break grow;
+                            }
+                        }
+                        for (let r = 0; r < w; r++) merged.fill(1, (a + r) * perCell + b, (a + r) * perCell + b + d);
+                        pushFace(buffer, faces[4], lx, top, lz, 1, 0, props, "top", w * step, d * step);
+                    }
+
+                    // Side walls (faces 0-3 are the horizontal directions)
+                    for (let f = 0; f < 4; f++) {
+                        const face = faces[f];
+                        const neighborTop = tops[(i + face.dir[0]) * side + k + face.dir[2]];
+                        const na = a + face.dir[0], nb = b + face.dir[2];
+                        const cellEdge = na < 0 || na >= perCell || nb < 0 || nb >= perCell;
+                        const wallTop = (cellEdge ? Math.max(top, neighborTop) : top) + 1;
+                        const wallBottom = Math.max(0, Math.min(top, neighborTop) + 1 - (cellEdge ? skirt : 0));
+                        if (wallBottom >= wallTop) continue;
+                        pushFace(buffer, face, lx, 0, lz, wallTop, wallBottom, props, faceNames[f], step, step);
+                    }
+                }
+            }
+            cellRanges[(ci * step + ck) * 2] = indexStart;
+            cellRanges[(ci * step + ck) * 2 + 1] = buffer.indices.length - indexStart;
+        }
+    }
+
+    return {
+        tile: toTypedBuffer(buffer),
+        cellRanges,
+        stats: { vertices: buffer.vertexCount, ms: performance.now() - startTime }
+    };
+}
+
 // Helper: compare borders to decide which neighbors need updates after a change
 function getChangedBorders(oldChunk, newChunk) {
-    const result = { left: false, right: false, back: false, front: false };
     if (!oldChunk || !newChunk) {
         // If we don't have old data, conservatively update all
         return { left: true, right: true, back: true, front: true };
     }
-    const checkYMax = WORLD_HEIGHT;
-    // Left (x=0)
-    for (let y = 0; y < checkYMax && !result.left; y++) {
-        const rOld = oldChunk[0] && oldChunk[0][y];
-        const rNew = newChunk[0] && newChunk[0][y];
-        for (let z = 0; z < CHUNK_SIZE; z++) {
-            const a = rOld ? (rOld[z] || 0) : 0;
-            const b = rNew ? (rNew[z] || 0) : 0;
-            if (a !== b) { result.left = true; break; }
-        }
-    }
-    // Right (x=CHUNK_SIZE-1)
-    const rx = CHUNK_SIZE - 1;
-    for (let y = 0; y < checkYMax && !result.right; y++) {
-        const rOld = oldChunk[rx] && oldChunk[rx][y];
-        const rNew = newChunk[rx] && newChunk[rx][y];
-        for (let z = 0; z < CHUNK_SIZE; z++) {
-            const a = rOld ? (rOld[z] || 0) : 0;
-            const b = rNew ? (rNew[z] || 0) : 0;
-            if (a !== b) { result.right = true; break; }
-        }
-    }
-    // Back (z=0)
-    for (let y = 0; y < checkYMax && !result.back; y++) {
-        for (let x = 0; x < CHUNK_SIZE; x++) {
-            const rOld = oldChunk[x] && oldChunk[x][y];
-            const rNew = newChunk[x] && newChunk[x][y];
-            const a = rOld ? (rOld[0] || 0) : 0;
-            const b = rNew ? (rNew[0] || 0) : 0;
-            if (a !== b) { result.back = true; break; }
-        }
-    }
-    // Front (z=CHUNK_SIZE-1)
-    const fz = CHUNK_SIZE - 1;
-    for (let y = 0; y < checkYMax && !result.front; y++) {
-        for (let x = 0; x < CHUNK_SIZE; x++) {
-            const rOld = oldChunk[x] && oldChunk[x][y];
-            const rNew = newChunk[x] && newChunk[x][y];
-            const a = rOld ? (rOld[fz] || 0) : 0;
-            const b = rNew ? (rNew[fz] || 0) : 0;
-            if (a !== b) { result.front = true; break; }
+    const differs = (x, z) => {
+        for (let y = 0; y < WORLD_HEIGHT; y++) {
+            if (ChunkFormat.get(oldChunk, x, y, z) !== ChunkFormat.get(newChunk, x, y, z)) return true;
         }
+        return false;
+    };
+    const last = CHUNK_SIZE - 1;
+    const result = { left: false, right: false, back: false, front: false };
+    for (let i = 0; i < CHUNK_SIZE; i++) {
+        if (!result.left && differs(0, i)) result.left = true;
+        if (!result.right && differs(last, i)) result.right = true;
+        if (!result.back && differs(i, 0)) result.back = true;
+        if (!result.front && differs(i, last)) result.front = true;
     }
     return result;
 }
 
 // Message handler
 self.onmessage = function(e) {
-    const { cx, cz, constants, type, modifiedChunk, requestGeometry, isPriority, neighbors } = e.data;
+    const { cx, cz, constants, type, modifiedChunk, requestGeometry, isPriority, neighbors, tx, tz, step } = e.data;
     
     // Priority chunks bypass normal queue processing (handled immediately)
     // This ensures modified chunks update instantly for better user experience
     
+    // Set up constants received from main thread. The first message after a change carries
+    // them (whatever its type), so a mesher switch applies to the next rebuild.
+    if (constants) {
+        CHUNK_SIZE = constants.CHUNK_SIZE;
+        WORLD_HEIGHT = constants.WORLD_HEIGHT;
+        BLOCK_TYPES = constants.BLOCK_TYPES;
+        blockColors = constants.blockColors;
+        setTerrainConstants(constants.WORLD_SEED ?? 0, constants.TERRAIN || null, constants.BIOMES || null, constants.STRUCTURES || null);
+        MESHER = MESHERS.includes(constants.MESHER) ? constants.MESHER : "simple";
+        buildBlockLookups();
+    }
+
+    // Game packs changed: the constants above are all there is to it
+    if (type === "setConstants") return;
+
+    // The main thread evicted these chunks; drop every copy and report what is left
+    if (type === "evictChunks") {
+        for (const key of e.data.keys) {
+            chunkStorage.delete(key);
+            neighborChunks.delete(key);
+        }
+        self.postMessage({ type: "cacheStats", stats: getCacheStats() });
+        return;
+    }
+
+    // A resized worker pool hands each new worker the chunks it now owns
+    if (type === "storeChunk") {
+        storeChunk(`${cx},${cz}`, e.data.chunk);
+        return;
+    }
+
+    if (type === "lodTile") {
+        const lod = buildLodTile(tx, tz, step);
+        const t = lod.tile;
+        self.postMessage({ type: "lodTile", tx, tz, step, geometryData: lod },
+            [t.vertices.buffer, t.indices.buffer, t.uvs.buffer, t.tiles.buffer, t.colors.buffer, t.normals.buffer, lod.cellRanges.buffer]);
+        return;
+    }
+
     if (type === "updateChunk") {
         // If neighbor data is provided with the update, cache it for culling
-        if (neighbors) {
-            if (neighbors.left) neighborChunks.set(`${cx - 1},${cz}`, neighbors.left);
-            if (neighbors.right) neighborChunks.set(`${cx + 1},${cz}`, neighbors.right);
-            if (neighbors.back) neighborChunks.set(`${cx},${cz - 1}`, neighbors.back);
-            if (neighbors.front) neighborChunks.set(`${cx},${cz + 1}`, neighbors.front);
-        }
+        cacheNeighbors(cx, cz, neighbors);
         const key = `${cx},${cz}`;
         const oldChunk = chunkStorage.get(key);
         // Determine which borders changed to selectively update neighbors
         const bordersChanged = getChangedBorders(oldChunk, modifiedChunk);
         // Store modified chunk data
-        chunkStorage.set(key, modifiedChunk);
+        storeChunk(key, modifiedChunk);
+        // Restored saves arrive without light; the main thread takes a copy of it
+        let light;
+        if (!modifiedChunk.light) {
+            lightChunk(modifiedChunk);
+            light = modifiedChunk.light.slice();
+        }
 
         // Always update the modified chunk
         const geometryData = buildChunkGeometry(modifiedChunk, cx, cz);
@@ -774,8 +1539,9 @@ self.onmessage = function(e) {
             type: "chunkUpdated",
             cx,
             cz,
-            geometryData
-        }, getTransferableBuffers(geometryData));
+            geometryData,
+            light
+        }, getTransferableBuffers(geometryData).concat(light ? [light.buffer] : []));
 
         // Update only necessary neighbors whose shared border changed
         if (bordersChanged.left) {
@@ -813,23 +1579,18 @@ self.onmessage = function(e) {
         return;
     }
     
-    // Set up constants received from main thread
-    if (constants) {
-        CHUNK_SIZE = constants.CHUNK_SIZE;
-        WORLD_HEIGHT = constants.WORLD_HEIGHT;
-        BLOCK_TYPES = constants.BLOCK_TYPES;
-        blockColors = constants.blockColors;
-        buildBlockLookups();
-    }
-
     // Check if we have this chunk stored
     const key = `${cx},${cz}`;
     let chunkData = chunkStorage.get(key);
+
+    // Neighbor copies come with generation and geometry requests alike; the main thread won't send
+    // them again, and a new chunk is lit and meshed against them
+    cacheNeighbors(cx, cz, neighbors);
     
     // If not in storage, generate new chunk
     if (!chunkData) {
         chunkData = generateChunkData(cx, cz);
-        chunkStorage.set(key, chunkData);
+        lightChunk(chunkData);
         
     // Build geometry data in the worker - use FULL builder to include all faces
         const geometryData = buildChunkGeometry(chunkData, cx, cz);
@@ -841,13 +1602,14 @@ self.onmessage = function(e) {
         ];
         
         // Transfer the typed arrays to avoid copying the data
-        // Send both chunk data and geometry data for new chunks
+        // Send both chunk data and geometry data for new chunks; the worker keeps its own copy
+        const chunkCopy = ChunkFormat.clone(chunkData);
         self.postMessage({ 
             cx, 
             cz, 
-            chunkData,
+            chunkData: chunkCopy,
             geometryData
-        }, getTransferableBuffers(geometryData));
+        }, getTransferableBuffers(geometryData).concat(ChunkFormat.getTransferables(chunkCopy)));
         
         // Then update all existing neighbors that might need re-rendering
         for (const [ncx, ncz] of neighbors) {
@@ -870,13 +1632,6 @@ self.onmessage = function(e) {
     
     // If geometry was requested, build and return it
     if (requestGeometry) {
-        // Optionally accept neighbor data for geometry-only requests too
-        if (neighbors) {
-            if (neighbors.left) neighborChunks.set(`${cx - 1},${cz}`, neighbors.left);
-            if (neighbors.right) neighborChunks.set(`${cx + 1},${cz}`, neighbors.right);
-            if (neighbors.back) neighborChunks.set(`${cx},${cz - 1}`, neighbors.back);
-            if (neighbors.front) neighborChunks.set(`${cx},${cz + 1}`, neighbors.front);
-        }
         // Use FULL builder to include all faces
         const geometryData = buildChunkGeometry(chunkData, cx, cz);
         
@@ -887,9 +1642,7 @@ self.onmessage = function(e) {
         }, getTransferableBuffers(geometryData));
     } else {
         // Just send the chunk data, legacy behavior
-        self.postMessage({ cx, cz, chunkData });
+        const chunkCopy = ChunkFormat.clone(chunkData);
+        self.postMessage({ cx, cz, chunkData: chunkCopy }, ChunkFormat.getTransferables(chunkCopy));
     }
 };
-
-// Helper to enforce biome spacing rule (no same biome within MIN_DIST)
-// Removed obsolete biome smoothing code
\ No newline at end of file
@@ -1,8 +1,35 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const vm = require('vm');
 
 const PORT = process.env.PORT || 7883;
+const ROOT_DIR = __dirname;
+const SAVED_WORLDS_DIR = path.join(__dirname, 'savedWorlds');
+const MAX_SAVE_BYTES = 64 * 1024 * 1024;
+const WORLD_NAME_PATTERN = /^[A-Za-z0-9 _-]{1,64}$/;
+const REGION_SIZE = 8; // chunks per region file side (8x8 chunks per file)
+const GAME_PACKS_DIR = path.join(__dirname, 'gamePacks');
+const PACK_NAME_PATTERN = WORLD_NAME_PATTERN;
+const MAX_PACK_UPLOAD_BYTES = 16 * 1024 * 1024;  // zipped
+const MAX_PACK_UNPACKED_BYTES = 64 * 1024 * 1024;
+const MAX_PACK_FILES = 1000;
+// Data and raster images only: packs come from anyone on the network and are served from the
+// game's own origin, where an SVG or HTML file could run script
+const PACK_FILE_TYPES = ['.json', '.png', '.jpg', '.jpeg', '.gif', '.webp'];
+const MAX_SOCKET_MESSAGE_BYTES = 1024 * 1024;
+const BLOCK_STATE_BITS = 4; // fluid levels 0-7 and falling (8) above the 12-bit block id
+const SESSION_SAVE_INTERVAL = 10000; // ms between writes of a session's edited chunks
+const PLAYER_NAME_PATTERN = /[^A-Za-z0-9 _-]/g;
+
+// The client's chunk storage format, so sessions can read and edit the chunks they hold
+const ChunkFormat = vm.runInNewContext(
+  `${fs.readFileSync(path.join(__dirname, 'lib/js/utils/chunkFormat.js'), 'utf8')}\nChunkFormat`,
+  { atob, btoa }
+);
+const MAX_BLOCK_VALUE = (1 << (ChunkFormat.STATE_SHIFT + BLOCK_STATE_BITS)) - 1;
 
 const mimeTypes = {
   '.html': 'text/html',
@@ -12,34 +39,937 @@ const mimeTypes = {
   '.png': 'image/png',
   '.jpg': 'image/jpeg',
   '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
   '.svg': 'image/svg+xml',
   '.ico': 'image/x-icon'
 };
 
-const server = http.createServer((req, res) => {
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Resolve a URL path inside a root directory; null if it would escape the root
+function resolveInside(root, urlPath) {
+  const resolved = path.resolve(root, '.' + path.posix.normalize('/' + urlPath));
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) return null;
+  return resolved;
+}
+
+function readBody(req, limit = MAX_SAVE_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(httpError(413, 'Request body is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Every JSON API takes an object body
+async function readJsonBody(req) {
+  const body = await readBody(req);
+  let parsed;
+  try {
+    parsed = JSON.parse(body.toString('utf8'));
+  } catch (err) {
+    throw httpError(400, 'Request body is not valid JSON');
+  }
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+  return parsed;
+}
+
+// Write to a temporary file first so a failed write never truncates existing data
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tempPath, data);
+  await fs.promises.rename(tempPath, filePath);
+}
+
+async function pathExists(filePath) {
+  try {
+    await fs.promises.stat(filePath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// ===== WORLD STORE =====
+// Each world is a directory: savedWorlds/<name>/world.json holds the save without its chunks,
+// and savedWorlds/<name>/regions/r.<rx>.<rz>.json holds the saved chunks of an 8x8 chunk area,
+// so saving a few edited chunks only rewrites the regions they fall in.
+// Older single-file saves (savedWorlds/<name>.json) are converted the first time they are written.
+const WorldStore = {
+  locks: new Map(),
+
+  validateName(name) {
+    if (typeof name !== 'string' || !WORLD_NAME_PATTERN.test(name)) {
+      throw httpError(400, 'World names may only use letters, numbers, spaces, "_" and "-" (max 64)');
+    }
+    return name;
+  },
+
+  worldDir(name) {
+    return path.join(SAVED_WORLDS_DIR, name);
+  },
+
+  legacyFile(name) {
+    return path.join(SAVED_WORLDS_DIR, `${name}.json`);
+  },
+
+  regionKey(cx, cz) {
+    return `r.${Math.floor(cx / REGION_SIZE)}.${Math.floor(cz / REGION_SIZE)}`;
+  },
+
+  // Run one write operation per world at a time so region files aren't interleaved
+  withLock(name, fn) {
+    const previous = this.locks.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    this.locks.set(name, next);
+    next.catch(() => {}).then(() => {
+      if (this.locks.get(name) === next) this.locks.delete(name);
+    });
+    return next;
+  },
+
+  async exists(name) {
+    return (await pathExists(path.join(this.worldDir(name), 'world.json'))) ||
+      (await pathExists(this.legacyFile(name)));
+  },
+
+  async migrateLegacy(name) {
+    const legacy = this.legacyFile(name);
+    if (!(await pathExists(legacy)) || (await pathExists(path.join(this.worldDir(name), 'world.json')))) return;
+    const save = JSON.parse(await fs.promises.readFile(legacy, 'utf8'));
+    await this.writeWorld(name, save, true);
+    await fs.promises.unlink(legacy);
+  },
+
+  async list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(SAVED_WORLDS_DIR, { withFileTypes: true });
+    } catch (err) {
+      return [];
+    }
+    const worlds = [];
+    for (const entry of entries) {
+      const name = entry.isDirectory() ? entry.name : (entry.name.endsWith('.json') ? entry.name.slice(0, -5) : null);
+      if (!name || !WORLD_NAME_PATTERN.test(name)) continue;
+      try {
+        worlds.push(entry.isDirectory() ? await this.describeDir(name) : await this.describeLegacy(name));
+      } catch (err) {
+        console.warn(`Skipping unreadable saved world "${name}":`, err.message);
+      }
+    }
+    return worlds.sort((a, b) => (b.lastPlayed || 0) - (a.lastPlayed || 0));
+  },
+
+  async describeDir(name) {
+    const dir = this.worldDir(name);
+    const meta = JSON.parse(await fs.promises.readFile(path.join(dir, 'world.json'), 'utf8'));
+    let size = (await fs.promises.stat(path.join(dir, 'world.json'))).size;
+    const regionsDir = path.join(dir, 'regions');
+    if (await pathExists(regionsDir)) {
+      for (const file of await fs.promises.readdir(regionsDir)) {
+        size += (await fs.promises.stat(path.join(regionsDir, file))).size;
+      }
+    }
+    return { name, seed: meta.seed, lastPlayed: meta.savedAt || null, size };
+  },
+
+  async describeLegacy(name) {
+    const file = this.legacyFile(name);
+    const stats = await fs.promises.stat(file);
+    const save = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    return { name, seed: save.seed, lastPlayed: save.savedAt || stats.mtimeMs, size: stats.size };
+  },
+
+  // Full save: world.json with every region's chunks merged back in
+  async read(name) {
+    const dir = this.worldDir(name);
+    if (!(await pathExists(path.join(dir, 'world.json')))) {
+      if (await pathExists(this.legacyFile(name))) {
+        return JSON.parse(await fs.promises.readFile(this.legacyFile(name), 'utf8'));
+      }
+      throw httpError(404, 'Saved world not found');
+    }
+    const save = JSON.parse(await fs.promises.readFile(path.join(dir, 'world.json'), 'utf8'));
+    save.chunks = {};
+    const regionsDir = path.join(dir, 'regions');
+    if (await pathExists(regionsDir)) {
+      for (const file of await fs.promises.readdir(regionsDir)) {
+        if (!file.endsWith('.json')) continue;
+        Object.assign(save.chunks, JSON.parse(await fs.promises.readFile(path.join(regionsDir, file), 'utf8')));
+      }
+    }
+    return save;
+  },
+
+  // Write world.json; when replaceChunks is set the save's chunks replace every region. The new
+  // regions are written to a temporary directory and swapped in, so a failed write keeps the old ones.
+  async writeWorld(name, save, replaceChunks) {
+    const dir = this.worldDir(name);
+    const { chunks, ...meta } = save;
+    meta.name = name;
+    const byRegion = replaceChunks ? this.groupByRegion(chunks === undefined ? {} : chunks) : null;
+    await fs.promises.mkdir(dir, { recursive: true });
+    if (byRegion) {
+      const regionsDir = path.join(dir, 'regions');
+      const tempDir = `${regionsDir}.tmp`;
+      const oldDir = `${regionsDir}.old`;
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+      await fs.promises.mkdir(tempDir);
+      await this.writeRegions(tempDir, byRegion);
+      // A directory can't be renamed over a non-empty one, so the old regions step aside first
+      await fs.promises.rm(oldDir, { recursive: true, force: true });
+      if (await pathExists(regionsDir)) await fs.promises.rename(regionsDir, oldDir);
+      await fs.promises.rename(tempDir, regionsDir);
+      await fs.promises.rm(oldDir, { recursive: true, force: true });
+    }
+    await writeFileAtomic(path.join(dir, 'world.json'), JSON.stringify(meta));
+  },
+
+  // Merge chunks ("cx,cz" -> chunk, or null to drop a chunk) into their region files
+  async writeChunks(name, chunks) {
+    const byRegion = this.groupByRegion(chunks);
+    const regionsDir = path.join(this.worldDir(name), 'regions');
+    await fs.promises.mkdir(regionsDir, { recursive: true });
+    await this.writeRegions(regionsDir, byRegion);
+    return byRegion.size;
+  },
+
+  // Chunks by region key, checking every chunk key and value before anything is written
+  groupByRegion(chunks) {
+    if (chunks === null || typeof chunks !== 'object' || Array.isArray(chunks)) throw httpError(400, '"chunks" must be an object');
+    const byRegion = new Map();
+    for (const [key, chunk] of Object.entries(chunks)) {
+      const [cx, cz] = key.split(',').map(Number);
+      if (!Number.isInteger(cx) || !Number.isInteger(cz)) throw httpError(400, `Invalid chunk key "${key}"`);
+      if (chunk !== null && (typeof chunk !== 'object' || Array.isArray(chunk))) {
+        throw httpError(400, `Chunk "${key}" must be an object or null`);
+      }
+      const region = this.regionKey(cx, cz);
+      if (!byRegion.has(region)) byRegion.set(region, {});
+      byRegion.get(region)[key] = chunk;
+    }
+    return byRegion;
+  },
+
+  async writeRegions(regionsDir, byRegion) {
+    for (const [region, updates] of byRegion) {
+      const file = path.join(regionsDir, `${region}.json`);
+      const existing = (await pathExists(file)) ? JSON.parse(await fs.promises.readFile(file, 'utf8')) : {};
+      for (const [key, chunk] of Object.entries(updates)) {
+        if (chunk === null) delete existing[key];
+        else existing[key] = chunk;
+      }
+      await writeFileAtomic(file, JSON.stringify(existing));
+    }
+  },
+
+  async rename(name, newName) {
+    await this.migrateLegacy(name);
+    if (!(await this.exists(name))) throw httpError(404, 'Saved world not found');
+    if (await this.exists(newName)) throw httpError(409, `A world named "${newName}" already exists`);
+    await fs.promises.rename(this.worldDir(name), this.worldDir(newName));
+    const metaFile = path.join(this.worldDir(newName), 'world.json');
+    const meta = JSON.parse(await fs.promises.readFile(metaFile, 'utf8'));
+    meta.name = newName;
+    await writeFileAtomic(metaFile, JSON.stringify(meta));
+  },
+
+  async remove(name) {
+    if (!(await this.exists(name))) throw httpError(404, 'Saved world not found');
+    await fs.promises.rm(this.worldDir(name), { recursive: true, force: true });
+    await fs.promises.rm(this.legacyFile(name), { force: true });
+  }
+};
+
+// ===== ZIP READER =====
+// Just enough of the zip format for pack uploads: the central directory, stored and deflated
+// entries, no encryption or zip64. Sizes are checked before anything is inflated.
+const Zip = {
+  fail(message) {
+    return httpError(400, `Not a usable zip file: ${message}`);
+  },
+
+  // [{ name, data }] for every file entry (directories are left out)
+  read(buffer, { maxFiles, maxBytes }) {
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+      if (buffer.readUInt32LE(i) === 0x06054b50) { end = i; break; }
+    }
+    if (end < 0) throw this.fail('no central directory');
+    const count = buffer.readUInt16LE(end + 10);
+    const dirOffset = buffer.readUInt32LE(end + 16);
+    if (count === 0xFFFF || dirOffset === 0xFFFFFFFF) throw this.fail('zip64 archives are not supported');
+    if (count > maxFiles) throw httpError(413, `Packs may hold at most ${maxFiles} files`);
+
+    const entries = [];
+    let total = 0;
+    for (let i = 0, offset = dirOffset; i < count; i++) {
+      if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) throw this.fail('broken central directory');
+      const flags = buffer.readUInt16LE(offset + 8);
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const size = buffer.readUInt32LE(offset + 24);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const headerOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+      offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+      if (name.endsWith('/')) continue;
+      if (flags & 1) throw this.fail(`${name} is encrypted`);
+      if (method !== 0 && method !== 8) throw this.fail(`${name} uses an unsupported compression method`);
+      total += size;
+      if (total > maxBytes) throw httpError(413, `Packs may unpack to at most ${maxBytes / 1024 / 1024} MB`);
+      entries.push({ name, method, compressedSize, size, headerOffset });
+    }
+
+    return entries.map((entry) => {
+      const header = entry.headerOffset;
+      if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== 0x04034b50) throw this.fail(`broken entry ${entry.name}`);
+      const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+      if (start + entry.compressedSize > buffer.length) throw this.fail(`${entry.name} is truncated`);
+      const raw = buffer.subarray(start, start + entry.compressedSize);
+      let data;
+      try {
+        data = entry.method === 0 ? raw : zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, entry.size) });
+      } catch (err) {
+        throw this.fail(`${entry.name} can't be inflated`);
+      }
+      if (data.length !== entry.size) throw this.fail(`${entry.name} doesn't match its recorded size`);
+      return { name: entry.name, data };
+    });
+  }
+};
+
+// ===== PACK STORE =====
+// Third-party game packs live in gamePacks/<name>/ with a pack.json manifest (the default pack is
+// the data/ folder and isn't listed). Uploaded packs are zips holding pack.json at their root or
+// inside one top folder; they are checked, unpacked into a temporary folder and then moved into
+// place, so a failed upload never leaves half a pack behind.
+const PackStore = {
+  installing: Promise.resolve(),
+
+  validateName(name) {
+    if (typeof name !== 'string' || !PACK_NAME_PATTERN.test(name)) {
+      throw httpError(400, 'Pack names may only use letters, numbers, spaces, "_" and "-" (max 64)');
+    }
+    return name;
+  },
+
+  // Installed packs with their parsed manifests; packs without a readable pack.json report why
+  async list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(GAME_PACKS_DIR, { withFileTypes: true });
+    } catch (err) {
+      return [];
+    }
+    const packs = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !PACK_NAME_PATTERN.test(entry.name)) continue;
+      const manifestFile = path.join(GAME_PACKS_DIR, entry.name, 'pack.json');
+      try {
+        packs.push({ packName: entry.name, manifest: JSON.parse(await fs.promises.readFile(manifestFile, 'utf8')) });
+      } catch (err) {
+        const error = err.code === 'ENOENT' ? 'no pack.json' : `unreadable pack.json: ${err.message}`;
+        packs.push({ packName: entry.name, manifest: null, error });
+      }
+    }
+    return packs.sort((a, b) => a.packName.localeCompare(b.packName));
+  },
+
+  // Files of an uploaded pack keyed by their path inside the pack, checked for safe paths and
+  // allowed types. Hidden files and macOS resource folders are dropped.
+  unpack(buffer) {
+    const files = new Map();
+    for (const { name, data } of Zip.read(buffer, { maxFiles: MAX_PACK_FILES, maxBytes: MAX_PACK_UNPACKED_BYTES })) {
+      const parts = name.split('/');
+      if (name.startsWith('/') || name.includes('\\') || parts.some(part => part === '' || part === '..')) {
+        throw httpError(400, `Unsafe path in pack: ${name}`);
+      }
+      if (parts.some(part => part.startsWith('.') || part === '__MACOSX')) continue;
+      if (!PACK_FILE_TYPES.includes(path.extname(name).toLowerCase())) {
+        throw httpError(400, `${name}: packs may only hold ${PACK_FILE_TYPES.join(', ')} files`);
+      }
+      files.set(name, data);
+    }
+    if (!files.has('pack.json')) {
+      const tops = new Set([...files.keys()].map(name => name.split('/')[0]));
+      const [top] = tops;
+      if (tops.size !== 1 || !files.has(`${top}/pack.json`)) throw httpError(400, 'The zip has no pack.json');
+      const inner = new Map();
+      for (const [name, data] of files) inner.set(name.slice(top.length + 1), data);
+      return inner;
+    }
+    return files;
+  },
+
+  // The parsed manifest, after checking that it and every resource it lists are valid JSON
+  checkManifest(files) {
+    const parse = (name) => {
+      try {
+        return JSON.parse(files.get(name).toString('utf8'));
+      } catch (err) {
+        throw httpError(400, `${name} is not valid JSON: ${err.message}`);
+      }
+    };
+    const manifest = parse('pack.json');
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) throw httpError(400, 'pack.json must hold an object');
+    const resources = manifest.resources || {};
+    if (typeof resources !== 'object' || Array.isArray(resources)) throw httpError(400, 'pack.json "resources" must be an object');
+    for (const [type, file] of Object.entries(resources)) {
+      if (typeof file !== 'string' || !files.has(path.posix.normalize(file))) {
+        throw httpError(400, `pack.json lists ${type} as "${file}", which isn't in the zip`);
+      }
+      parse(path.posix.normalize(file));
+    }
+    return manifest;
+  },
+
+  // Unpack a zipped pack into gamePacks/<name>; an existing pack is only replaced when asked
+  async install(buffer, fallbackName, replace) {
+    const files = this.unpack(buffer);
+    const manifest = this.checkManifest(files);
+    const name = this.validateName(manifest.packName || fallbackName);
+    const run = async () => {
+      const target = path.join(GAME_PACKS_DIR, name);
+      if ((await pathExists(target)) && !replace) throw httpError(409, `A pack named "${name}" is already installed`);
+      const temp = path.join(GAME_PACKS_DIR, `.upload-${process.pid}-${Date.now()}`);
+      try {
+        for (const [file, data] of files) {
+          const filePath = resolveInside(temp, file);
+          if (!filePath) throw httpError(400, `Unsafe path in pack: ${file}`);
+          await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.promises.writeFile(filePath, data);
+        }
+        await fs.promises.rm(target, { recursive: true, force: true });
+        await fs.promises.rename(temp, target);
+      } finally {
+        await fs.promises.rm(temp, { recursive: true, force: true });
+      }
+      return { packName: name, manifest, files: files.size };
+    };
+    const result = this.installing.catch(() => {}).then(run);
+    this.installing = result;
+    return result;
+  }
+};
+
+// ===== PACK API =====
+// GET  /api/packs                        installed packs: { packs: [{ packName, manifest, error? }] }
+// POST /api/packs?name=<name>&replace=1  body is a zipped pack; installs it as pack.json's packName
+//                                        (or name), 409 if it exists unless replace is set
+async function handlePackApi(req, res, url) {
+  if (req.method === 'GET') return sendJson(res, 200, { packs: await PackStore.list() });
+  if (req.method === 'POST') {
+    // Refuse oversized uploads before reading them, so the client still gets the answer
+    if (Number(req.headers['content-length']) > MAX_PACK_UPLOAD_BYTES) {
+      throw httpError(413, `Pack uploads may be at most ${MAX_PACK_UPLOAD_BYTES / 1024 / 1024} MB`);
+    }
+    const body = await readBody(req, MAX_PACK_UPLOAD_BYTES);
+    const replace = url.searchParams.get('replace') === '1';
+    const installed = await PackStore.install(body, url.searchParams.get('name'), replace);
+    console.log(`Installed game pack "${installed.packName}" (${installed.files} files)`);
+    return sendJson(res, 201, installed);
+  }
+  throw httpError(405, 'Method not allowed');
+}
+
+// ===== WORLD API =====
+// GET    /api/worlds                    list worlds (name, seed, lastPlayed, size)
+// POST   /api/worlds                    create a world from a save body (409 if the name exists)
+// GET    /api/worlds/<name>             full save, chunks included
+// PUT    /api/worlds/<name>             overwrite; chunks are replaced only if the body has "chunks"
+// DELETE /api/worlds/<name>             delete
+// POST   /api/worlds/<name>/rename      body { name: newName }
+// PUT    /api/worlds/<name>/chunks      body { chunks: { "cx,cz": chunk | null } }, merged into regions
+// GET/PUT /savedWorlds/<name>.json      full save read / overwrite (kept for older clients)
+async function handleWorldApi(req, res, pathname) {
+  const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  if (parts[0] === 'savedWorlds') {
+    if (parts.length !== 2 || !parts[1].endsWith('.json')) throw httpError(404, 'Saved world not found');
+    const name = WorldStore.validateName(parts[1].slice(0, -5));
+    if (req.method === 'GET') return sendJson(res, 200, await WorldStore.read(name));
+    if (req.method === 'PUT') {
+      const save = await readJsonBody(req);
+      await WorldStore.withLock(name, () => WorldStore.writeWorld(name, save, true));
+      return sendJson(res, 200, { saved: name });
+    }
+    throw httpError(405, 'Method not allowed');
+  }
+
+  // parts[0] === 'api', parts[1] === 'worlds'
+  if (parts.length === 2) {
+    if (req.method === 'GET') return sendJson(res, 200, { worlds: await WorldStore.list() });
+    if (req.method === 'POST') {
+      const save = await readJsonBody(req);
+      const name = WorldStore.validateName(save.name);
+      await WorldStore.withLock(name, async () => {
+        if (await WorldStore.exists(name)) throw httpError(409, `A world named "${name}" already exists`);
+        await WorldStore.writeWorld(name, save, true);
+      });
+      return sendJson(res, 201, { created: name });
+    }
+    throw httpError(405, 'Method not allowed');
+  }
+
+  const name = WorldStore.validateName(parts[2]);
+  const action = parts[3];
+
+  if (parts.length === 3) {
+    if (req.method === 'GET') return sendJson(res, 200, await WorldStore.read(name));
+    if (req.method === 'PUT') {
+      const save = await readJsonBody(req);
+      await WorldStore.withLock(name, async () => {
+        await WorldStore.migrateLegacy(name);
+        await WorldStore.writeWorld(name, save, 'chunks' in save);
+      });
+      return sendJson(res, 200, { saved: name });
+    }
+    if (req.method === 'DELETE') {
+      await WorldStore.withLock(name, () => WorldStore.remove(name));
+      return sendJson(res, 200, { deleted: name });
+    }
+    throw httpError(405, 'Method not allowed');
+  }
+
+  if (parts.length === 4 && action === 'rename' && req.method === 'POST') {
+    const body = await readJsonBody(req);
+    const newName = WorldStore.validateName(body.name);
+    if (newName === name) return sendJson(res, 200, { renamed: name, name });
+    // Both locks in name order, so renames A -> B and B -> A can't each hold one and wait
+    const [first, second] = [name, newName].sort();
+    await WorldStore.withLock(first, () => WorldStore.withLock(second, () => WorldStore.rename(name, newName)));
+    return sendJson(res, 200, { renamed: name, name: newName });
+  }
+
+  if (parts.length === 4 && action === 'chunks' && req.method === 'PUT') {
+    const body = await readJsonBody(req);
+    if (body.chunks === null || typeof body.chunks !== 'object' || Array.isArray(body.chunks)) {
+      throw httpError(400, 'Body must contain a "chunks" object');
+    }
+    const regions = await WorldStore.withLock(name, async () => {
+      if (!(await WorldStore.exists(name))) throw httpError(404, 'Saved world not found');
+      await WorldStore.migrateLegacy(name);
+      return WorldStore.writeChunks(name, body.chunks);
+    });
+    return sendJson(res, 200, { saved: name, chunks: Object.keys(body.chunks).length, regions });
+  }
+
+  throw httpError(404, 'Unknown world API route');
+}
+
+// ===== WEBSOCKET =====
+// A minimal RFC 6455 server side: the upgrade handshake, masked client frames (fragmented ones
+// reassembled), text messages, ping/pong and close. Binary messages aren't used and close the
+// connection. Returns { send(text), close(code, reason), onMessage(text), onClose() } for the
+// caller to fill in the handlers, or null when the handshake is refused.
+function isSameOrigin(origin, host) {
+  try {
+    return !!host && new URL(origin).host === host.toLowerCase();
+  } catch (err) {
+    return false;
+  }
+}
+
+function acceptWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  // Browsers send the page's origin: only the game served from here may join, not any page a player opens
+  if (req.headers.origin !== undefined && !isSameOrigin(req.headers.origin, req.headers.host)) {
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
+
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+
+  const writeFrame = (opcode, payload) => {
+    if (closed || socket.destroyed) return;
+    const length = payload.length;
+    const header = length < 126 ? Buffer.from([0x80 | opcode, length])
+      : (length < 0x10000 ? Buffer.from([0x80 | opcode, 126, length >> 8, length & 0xFF]) : Buffer.alloc(10));
+    if (length >= 0x10000) {
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    socket.write(Buffer.concat([header, payload]));
+  };
+
+  const connection = {
+    send(text) {
+      writeFrame(0x1, Buffer.from(text, 'utf8'));
+    },
+    close(code = 1000, reason = '') {
+      if (closed) return;
+      const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+      payload.writeUInt16BE(code, 0);
+      payload.write(reason, 2);
+      writeFrame(0x8, payload);
+      closed = true;
+      socket.end();
+    },
+    onMessage() {},
+    onClose() {}
+  };
+
+  socket.on('data', (data) => {
+    buffered = Buffer.concat([buffered, data]);
+    while (buffered.length >= 2) {
+      const opcode = buffered[0] & 0x0F;
+      const final = (buffered[0] & 0x80) !== 0;
+      const masked = (buffered[1] & 0x80) !== 0;
+      let length = buffered[1] & 0x7F;
+      let offset = 2;
+      if (length === 126) {
+        if (buffered.length < 4) return;
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffered.length < 10) return;
+        length = Number(buffered.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (!masked) return connection.close(1002, 'Client frames must be masked');
+      const size = fragments.reduce((total, part) => total + part.length, length);
+      if (size > MAX_SOCKET_MESSAGE_BYTES) return connection.close(1009, 'Message too large');
+      if (buffered.length < offset + 4 + length) return;
+      const mask = buffered.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      buffered = buffered.subarray(offset + 4 + length);
+
+      if (opcode === 0x8) return connection.close();
+      if (opcode === 0x9) {
+        writeFrame(0xA, payload);
+        continue;
+      }
+      if (opcode === 0xA) continue;
+      if (opcode === 0x2 || (opcode !== 0x0 && opcode !== 0x1)) return connection.close(1003, 'Only text messages are supported');
+      fragments.push(payload);
+      if (!final) continue;
+      const message = Buffer.concat(fragments).toString('utf8');
+      fragments = [];
+      connection.onMessage(message);
+    }
+  });
+  // A client that half-closes without a close frame is gone too
+  socket.on('end', () => socket.end());
+  socket.on('close', () => {
+    closed = true;
+    connection.onClose();
+  });
+  socket.on('error', () => socket.destroy());
+  return connection;
+}
+
+// ===== MULTIPLAYER =====
+// server.js hosts one shared session per world name at /ws (open the game with ?join). The first
+// player to join starts it from the stored world (WorldStore) or, for a new world, from their own
+// seed, mesher, packs and chunk dimensions; everyone after gets the session's. Terrain is
+// generated by each client from the shared seed, so the session only holds the chunks somebody has
+// edited: it sends their keys on join and streams the chunks on request. Edits must use a block id
+// from the world's blockIds and are checked against the held chunk: an edit whose `previous` value
+// no longer matches lost a race and its sender gets the block's actual value instead. The first
+// edit in an unheld chunk brings the chunk along. Held chunks are written to the world store every
+// SESSION_SAVE_INTERVAL and when the last player leaves. Fluids and falling blocks run on every
+// client and arrive as ordinary edits; time and weather stay local.
+// node test/multiplayer.test.js runs two clients against a session.
+//
+// Messages are JSON objects with a `type`:
+//   client: hello { name, world: { name, seed, mesher, packs, chunkSize, chunkHeight } }, getChunk { key },
+//           setBlock { x, y, z, value, previous, chunk? }, move { position, yaw, pitch }, blockIds { blockIds }
+//   server: welcome { id, world, heldChunks, players }, chunk { key, chunk }, block { x, y, z, value, key },
+//           join { player }, move { id, position, yaw, pitch }, leave { id }, error { message }
+const Sessions = {
+  sessions: new Map(), // world name -> Promise of session
+  nextPlayerId: 1,
+
+  get(worldName, world) {
+    if (!this.sessions.has(worldName)) {
+      const created = this.create(worldName, world);
+      this.sessions.set(worldName, created);
+      created.catch(() => this.sessions.delete(worldName));
+    }
+    return this.sessions.get(worldName);
+  },
+
+  async create(name, world) {
+    const session = {
+      name,
+      world: {
+        name,
+        seed: world.seed,
+        mesher: world.mesher,
+        packs: world.packs,
+        blockIds: null,
+        chunkSize: world.chunkSize,
+        chunkHeight: world.chunkHeight
+      },
+      blockIds: null,     // Set of the ids in world.blockIds, which edits must use
+      chunks: new Map(),  // key -> chunk, or the serialized chunk until it is first edited
+      dirty: new Set(),   // keys of chunks to write on the next save
+      players: new Map(), // id -> { id, name, position, yaw, pitch, connection }
+      stored: false,      // whether the world store already has this world
+      saveTimer: null
+    };
+    // Under the world's lock, so a session ending just now finishes writing first
+    const save = await WorldStore.withLock(name, async () => ((await WorldStore.exists(name)) ? WorldStore.read(name) : null));
+    if (save) {
+      Object.assign(session.world, { seed: save.seed, mesher: save.mesher, packs: save.packs });
+      if (save.blockIds) this.setBlockIds(session, save.blockIds);
+      for (const [key, chunk] of Object.entries(save.chunks || {})) session.chunks.set(key, chunk);
+      session.stored = true;
+    }
+    session.saveTimer = setInterval(() => this.save(session).catch((err) => console.error(`Could not save session "${name}":`, err)),
+      SESSION_SAVE_INTERVAL);
+    console.log(`Multiplayer session "${name}" started with ${session.chunks.size} edited chunks`);
+    return session;
+  },
+
+  // Block names -> ids from the world save or the first client; ids must fit the block id bits
+  setBlockIds(session, blockIds) {
+    if (!blockIds || typeof blockIds !== 'object' || Array.isArray(blockIds)) throw httpError(400, 'blockIds must map block names to ids');
+    const ids = Object.values(blockIds);
+    if (!ids.every(id => Number.isInteger(id) && id > 0 && id <= ChunkFormat.ID_MASK)) throw httpError(400, 'Block ids must be integers from 1 to 4095');
+    session.world.blockIds = blockIds;
+    session.blockIds = new Set(ids);
+  },
+
+  // A held chunk ready to read and edit
+  getChunk(session, key) {
+    const held = session.chunks.get(key);
+    if (!held || held.indices) return held || null;
+    const [cx, cz] = key.split(',').map(Number);
+    const chunk = ChunkFormat.deserialize(held, cx, cz, session.world.chunkSize, session.world.chunkHeight);
+    session.chunks.set(key, chunk);
+    return chunk;
+  },
+
+  serializeChunk(session, key) {
+    const held = session.chunks.get(key);
+    if (!held) return null;
+    return held.indices ? ChunkFormat.serialize(held) : held;
+  },
+
+  async save(session) {
+    if (session.dirty.size === 0) return;
+    const keys = [...session.dirty];
+    session.dirty.clear();
+    const chunks = {};
+    for (const key of keys) chunks[key] = this.serializeChunk(session, key);
+    try {
+      await WorldStore.withLock(session.name, async () => {
+        if (!session.stored) {
+          const { name, ...world } = session.world;
+          await WorldStore.writeWorld(name, { ...world, savedAt: Date.now() }, false);
+          session.stored = true;
+        }
+        await WorldStore.migrateLegacy(session.name);
+        await WorldStore.writeChunks(session.name, chunks);
+      });
+    } catch (err) {
+      // Try these chunks again on the next save
+      for (const key of keys) session.dirty.add(key);
+      throw err;
+    }
+  },
+
+  broadcast(session, message, except = null) {
+    const text = JSON.stringify(message);
+    for (const player of session.players.values()) {
+      if (player.id !== except) player.connection.send(text);
+    }
+  },
+
+  describePlayer(player) {
+    return { id: player.id, name: player.name, position: player.position, yaw: player.yaw, pitch: player.pitch };
+  },
+
+  async join(connection, hello) {
+    const world = hello.world || {};
+    const worldName = WorldStore.validateName(world.name);
+    if (!Number.isInteger(world.chunkSize) || !Number.isInteger(world.chunkHeight)) throw httpError(400, 'Missing chunk dimensions');
+    const session = await this.get(worldName, world);
+    if (world.chunkSize !== session.world.chunkSize || world.chunkHeight !== session.world.chunkHeight) {
+      throw httpError(409, `This session uses ${session.world.chunkSize}x${session.world.chunkHeight} chunks`);
+    }
+    const id = this.nextPlayerId++;
+    const name = String(hello.name || '').replace(PLAYER_NAME_PATTERN, '').trim().slice(0, 24) || `Player ${id}`;
+    const player = { id, name, position: null, yaw: 0, pitch: 0, connection };
+    connection.send(JSON.stringify({
+      type: 'welcome',
+      id,
+      world: session.world,
+      heldChunks: [...session.chunks.keys()],
+      players: [...session.players.values()].map(other => this.describePlayer(other))
+    }));
+    session.players.set(id, player);
+    this.broadcast(session, { type: 'join', player: this.describePlayer(player) }, id);
+    console.log(`${name} joined "${worldName}" (${session.players.size} playing)`);
+    return { session, player };
+  },
+
+  async leave(session, player) {
+    session.players.delete(player.id);
+    this.broadcast(session, { type: 'leave', id: player.id });
+    console.log(`${player.name} left "${session.name}" (${session.players.size} playing)`);
+    if (session.players.size > 0) return;
+    clearInterval(session.saveTimer);
+    this.sessions.delete(session.name);
+    await this.save(session);
+  },
+
+  // Apply an edit if the sender saw the block as it is; otherwise correct the sender
+  // Throws unless value is air or a registered block id, with state bits of at most BLOCK_STATE_BITS
+  checkBlockValue(session, value) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_BLOCK_VALUE) throw httpError(400, `Block value ${value} is out of range`);
+    const id = ChunkFormat.blockId(value);
+    if (id !== 0 && !session.blockIds.has(id)) throw httpError(400, `Block id ${id} is not registered in this world`);
+  },
+
+  // A client's copy of a chunk the session doesn't hold yet, from before its first edit there; every
+  // block in it must be one the session could have placed
+  readSnapshot(session, snapshot, cx, cz) {
+    let chunk;
+    try {
+      chunk = ChunkFormat.deserialize(snapshot, cx, cz, session.world.chunkSize, session.world.chunkHeight);
+    } catch (err) {
+      throw httpError(400, `Invalid chunk: ${err.message}`);
+    }
+    const { palette, indices } = chunk;
+    if (palette[0] !== 0) throw httpError(400, 'Invalid chunk: the first palette entry must be air');
+    palette.forEach(value => this.checkBlockValue(session, value));
+    for (let i = 0; i < indices.length; i++) {
+      if (indices[i] >= palette.length) throw httpError(400, 'Invalid chunk: block data points outside the palette');
+    }
+    return chunk;
+  },
+
+  setBlock(session, player, { x, y, z, value, previous, chunk: snapshot }) {
+    if (![x, y, z, value, previous].every(Number.isInteger)) throw httpError(400, 'Block edits need integer x, y, z, value and previous');
+    if (!session.blockIds) throw httpError(409, 'The session has no block ids yet');
+    this.checkBlockValue(session, value);
+    const { chunkSize, chunkHeight } = session.world;
+    if (y < 0 || y >= chunkHeight) throw httpError(400, 'Block is outside the world');
+    const cx = Math.floor(x / chunkSize), cz = Math.floor(z / chunkSize);
+    const key = `${cx},${cz}`;
+    const lx = x - cx * chunkSize, lz = z - cz * chunkSize;
+    let chunk;
+
+    if (session.chunks.has(key)) {
+      chunk = this.getChunk(session, key);
+      const current = ChunkFormat.get(chunk, lx, y, lz);
+      if (current !== previous) {
+        player.connection.send(JSON.stringify({ type: 'block', x, y, z, value: current, key }));
+        return;
+      }
+    } else {
+      if (!snapshot) {
+        player.connection.send(JSON.stringify({ type: 'block', x, y, z, value: previous }));
+        return;
+      }
+      chunk = this.readSnapshot(session, snapshot, cx, cz);
+      if (ChunkFormat.get(chunk, lx, y, lz) !== previous) throw httpError(400, 'Invalid chunk: it doesn\'t hold the edit\'s previous block');
+      session.chunks.set(key, chunk);
+    }
+
+    ChunkFormat.set(chunk, lx, y, lz, value);
+    ChunkFormat.updateHeight(chunk, lx, lz);
+    session.dirty.add(key);
+    this.broadcast(session, { type: 'block', x, y, z, value, key }, player.id);
+  },
+
+  // Handle one connected player's messages, in arrival order
+  handle(connection) {
+    let joined = null;
+    let queue = Promise.resolve();
+    const fail = (err) => {
+      if (!err.status) console.error('Multiplayer error:', err);
+      connection.send(JSON.stringify({ type: 'error', message: err.status ? err.message : 'Server error' }));
+    };
+    const handleMessage = async (message) => {
+      if (!message || typeof message !== 'object') throw httpError(400, 'Messages must be JSON objects');
+      if (!joined) {
+        if (message.type !== 'hello') throw httpError(400, 'Say hello first');
+        joined = await this.join(connection, message);
+        return;
+      }
+      const { session, player } = joined;
+      if (message.type === 'getChunk') {
+        connection.send(JSON.stringify({ type: 'chunk', key: message.key, chunk: this.serializeChunk(session, message.key) }));
+      } else if (message.type === 'setBlock') {
+        this.setBlock(session, player, message);
+      } else if (message.type === 'move') {
+        const { position } = message;
+        if (!position || ![position.x, position.y, position.z].every(Number.isFinite)) throw httpError(400, 'Moves need a position with finite x, y and z');
+        player.position = { x: position.x, y: position.y, z: position.z };
+        player.yaw = Number.isFinite(message.yaw) ? message.yaw : 0;
+        player.pitch = Number.isFinite(message.pitch) ? message.pitch : 0;
+        this.broadcast(session, { type: 'move', id: player.id, position: player.position, yaw: player.yaw, pitch: player.pitch }, player.id);
+      } else if (message.type === 'blockIds') {
+        // The first client to build a new world's block registry decides its ids
+        if (!session.world.blockIds) this.setBlockIds(session, message.blockIds);
+      }
+    };
+    connection.onMessage = (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (err) {
+        return fail(httpError(400, 'Messages must be JSON'));
+      }
+      queue = queue.then(() => handleMessage(message)).catch(fail);
+    };
+    connection.onClose = () => {
+      queue = queue.then(() => joined && this.leave(joined.session, joined.player)).catch((err) => console.error('Multiplayer error:', err));
+    };
+  }
+};
+
+function serveStatic(req, res, pathname) {
   if (req.method !== 'GET') {
     res.writeHead(405, { 'Content-Type': 'text/plain' });
     return res.end('405 Method Not Allowed');
   }
 
-  // Handle requests for saved worlds
-  if (req.url.startsWith('/savedWorlds/')) {
-    const filePath = path.join(__dirname, req.url);
-    fs.stat(filePath, (err, stats) => {
-      if (err || !stats.isFile()) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        return res.end(JSON.stringify({ error: 'Saved world not found' }));
-      }
-      const contentType = 'application/json';
-      res.writeHead(200, { 'Content-Type': contentType });
-      fs.createReadStream(filePath).pipe(res);
-    });
-    return;
+  // Resolve requested file path, refusing anything outside the project directory
+  let filePath = resolveInside(ROOT_DIR, pathname);
+  if (!filePath) {
+    res.writeHead(403, { 'Content-Type': 'text/plain' });
+    return res.end('403 Forbidden');
   }
-
-  // Resolve requested file path
-  let filePath = path.join(__dirname, req.url);
-  if (filePath.endsWith(path.sep)) {
+  if (pathname.endsWith('/')) {
     filePath = path.join(filePath, 'index.html');
   }
 
@@ -51,11 +981,68 @@ const server = http.createServer((req, res) => {
 
     const ext = path.extname(filePath).toLowerCase();
     const contentType = mimeTypes[ext] || 'application/octet-stream';
-    res.writeHead(200, { 'Content-Type': contentType });
+    const headers = { 'Content-Type': contentType };
+    // Pack files may have been put there by anyone; never let one act as a page of this origin
+    if (filePath.startsWith(GAME_PACKS_DIR + path.sep)) {
+      headers['Content-Security-Policy'] = 'sandbox';
+      headers['X-Content-Type-Options'] = 'nosniff';
+    }
+    res.writeHead(200, headers);
     fs.createReadStream(filePath).pipe(res);
   });
+}
+
+const server = http.createServer((req, res) => {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (err) {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    return res.end('400 Bad Request');
+  }
+  if (pathname.includes('\0')) {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    return res.end('400 Bad Request');
+  }
+
+  // Handle requests for saved worlds
+  if (pathname.startsWith('/savedWorlds/') || pathname === '/api/worlds' || pathname.startsWith('/api/worlds/')) {
+    const rawPath = new URL(req.url, 'http://localhost').pathname;
+    handleWorldApi(req, res, rawPath).catch((err) => {
+      if (!err.status) console.error('World store error:', err);
+      if (!res.headersSent) sendJson(res, err.status || 500, { error: err.status ? err.message : 'World store error' });
+    });
+    return;
+  }
+
+  if (pathname === '/api/packs') {
+    handlePackApi(req, res, new URL(req.url, 'http://localhost')).catch((err) => {
+      if (!err.status) console.error('Pack store error:', err);
+      if (!res.headersSent) sendJson(res, err.status || 500, { error: err.status ? err.message : 'Pack store error' });
+    });
+    return;
+  }
+
+  serveStatic(req, res, pathname);
+});
+
+server.on('upgrade', (req, socket) => {
+  let pathname;
+  try {
+    pathname = new URL(req.url, 'http://localhost').pathname;
+  } catch (err) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  if (pathname !== '/ws') {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    return;
+  }
+  const connection = acceptWebSocket(req, socket);
+  if (connection) Sessions.handle(connection);
 });
 
 server.listen(PORT, () => {
   console.log(`Local Wonder World server is now running at http://localhost:${PORT}/`);
+  console.log(`To play together, open http://<this computer's address>:${PORT}/?join=<your name> on each device`);
 });
@@ -0,0 +1,230 @@
+// Multiplayer session test: starts server.js on a free port from a temporary copy (so its world
+// store stays out of the repo), connects two WebSocket clients and checks a conflicting edit, chunk
+// streaming, move relay and the server's checks on handshakes, edits and moves.
+// Run with: node test/multiplayer.test.js
+const assert = require('assert');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CHUNK_FORMAT_FILE = path.join(ROOT_DIR, 'lib/js/utils/chunkFormat.js');
+const ChunkFormat = vm.runInNewContext(`${fs.readFileSync(CHUNK_FORMAT_FILE, 'utf8')}\nChunkFormat`, { atob, btoa });
+const STONE = 3;
+const WORLD = { name: 'Multiplayer Test', seed: 42, mesher: 'greedy', packs: [], chunkSize: 16, chunkHeight: 400 };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+// Copy server.js and the chunk format it loads into a temp dir and start it there
+async function startServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wonderworld-'));
+  fs.mkdirSync(path.join(dir, 'lib/js/utils'), { recursive: true });
+  fs.copyFileSync(path.join(ROOT_DIR, 'server.js'), path.join(dir, 'server.js'));
+  fs.copyFileSync(CHUNK_FORMAT_FILE, path.join(dir, 'lib/js/utils/chunkFormat.js'));
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], { cwd: dir, env: { ...process.env, PORT: port }, stdio: ['ignore', 'pipe', 'inherit'] });
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (data) => {
+      if (String(data).includes('running')) resolve();
+    });
+    child.on('exit', (code) => reject(new Error(`server.js exited with ${code}`)));
+  });
+  return { dir, port, child };
+}
+
+// Opening handshake for `target`, with any extra header lines
+function upgradeRequest(target, headers = '') {
+  return `GET ${target} HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n` +
+    `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\nSec-WebSocket-Version: 13\r\n${headers}\r\n`;
+}
+
+// Status line of the server's answer to a handshake it is expected to refuse
+function refusedUpgrade(port, target, headers) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(upgradeRequest(target, headers)));
+    let response = '';
+    socket.on('data', (data) => { response += data; });
+    socket.on('end', () => resolve(response.split('\r\n')[0]));
+    socket.on('error', reject);
+  });
+}
+
+// A WebSocket client with masked text frames, collecting the server's messages
+function connect(port, label, headers) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1');
+    const client = { label, socket, messages: [], waiters: [] };
+    let buffered = Buffer.alloc(0);
+    let upgraded = false;
+    const wake = () => client.waiters.splice(0).forEach(wakeUp => wakeUp());
+
+    socket.on('connect', () => socket.write(upgradeRequest('/ws', headers)));
+    socket.on('data', (data) => {
+      buffered = Buffer.concat([buffered, data]);
+      if (!upgraded) {
+        const end = buffered.indexOf('\r\n\r\n');
+        if (end < 0) return;
+        const head = buffered.subarray(0, end).toString();
+        if (!head.startsWith('HTTP/1.1 101')) return reject(new Error(`Handshake refused: ${head}`));
+        upgraded = true;
+        buffered = buffered.subarray(end + 4);
+        resolve(client);
+      }
+      while (buffered.length >= 2) {
+        let length = buffered[1] & 0x7F;
+        let offset = 2;
+        if (length === 126) {
+          if (buffered.length < 4) return;
+          length = buffered.readUInt16BE(2);
+          offset = 4;
+        } else if (length === 127) {
+          if (buffered.length < 10) return;
+          length = Number(buffered.readBigUInt64BE(2));
+          offset = 10;
+        }
+        if (buffered.length < offset + length) return;
+        const opcode = buffered[0] & 0x0F;
+        const payload = buffered.subarray(offset, offset + length);
+        buffered = buffered.subarray(offset + length);
+        if (opcode === 0x1) client.messages.push(JSON.parse(payload.toString()));
+        wake();
+      }
+    });
+    socket.on('error', reject);
+    socket.on('close', wake);
+  });
+}
+
+function send(client, message) {
+  const payload = Buffer.from(JSON.stringify(message));
+  const mask = crypto.randomBytes(4);
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+  const header = payload.length < 126 ? Buffer.from([0x81, 0x80 | payload.length])
+    : Buffer.from([0x81, 0x80 | 126, payload.length >> 8, payload.length & 0xFF]);
+  client.socket.write(Buffer.concat([header, mask, payload]));
+}
+
+// The next message of a type, waiting up to a couple of seconds for it
+async function next(client, type) {
+  const deadline = Date.now() + 2000;
+  for (;;) {
+    const index = client.messages.findIndex(message => message.type === type);
+    if (index >= 0) return client.messages.splice(index, 1)[0];
+    if (Date.now() > deadline) throw new Error(`${client.label} got no "${type}" message`);
+    await new Promise(resolve => {
+      client.waiters.push(resolve);
+      setTimeout(resolve, 50);
+    });
+  }
+}
+
+// A chunk of stone up to y 59, as a client would send it with its first edit
+function stoneChunk(cx, cz) {
+  const chunk = ChunkFormat.create(cx, cz, WORLD.chunkSize, WORLD.chunkHeight);
+  for (let x = 0; x < WORLD.chunkSize; x++) {
+    for (let z = 0; z < WORLD.chunkSize; z++) {
+      for (let y = 0; y < 60; y++) ChunkFormat.set(chunk, x, y, z, STONE);
+    }
+  }
+  ChunkFormat.updateHeightMap(chunk);
+  return chunk;
+}
+
+async function run(port) {
+  // A handshake whose target isn't a URL is refused without taking the server down
+  assert.strictEqual(await refusedUpgrade(port, '//['), 'HTTP/1.1 400 Bad Request');
+  // Pages from other origins may not join; the game's own page may
+  assert.strictEqual(await refusedUpgrade(port, '/ws', 'Origin: http://example.com\r\n'), 'HTTP/1.1 403 Forbidden');
+
+  const alice = await connect(port, 'alice', 'Origin: http://localhost\r\n');
+  send(alice, { type: 'hello', name: 'Alice', world: WORLD });
+  const aliceWelcome = await next(alice, 'welcome');
+  assert.deepStrictEqual(aliceWelcome.heldChunks, []);
+  send(alice, { type: 'blockIds', blockIds: { 'wonderworld:stone': STONE, 'wonderworld:glass': 9 } });
+
+  const bob = await connect(port, 'bob');
+  send(bob, { type: 'hello', name: 'Bob', world: { ...WORLD, seed: 7 } });
+  const bobWelcome = await next(bob, 'welcome');
+  assert.strictEqual(bobWelcome.world.seed, 42, 'joining players get the session seed');
+  assert.strictEqual(bobWelcome.world.blockIds['wonderworld:glass'], 9);
+  assert.deepStrictEqual(bobWelcome.players.map(player => player.name), ['Alice']);
+  assert.strictEqual((await next(alice, 'join')).player.name, 'Bob');
+
+  // Alice's first edit in chunk -1,0 brings the chunk along, as it was before the edit
+  send(alice, { type: 'setBlock', x: -11, y: 60, z: 4, value: 9, previous: 0, chunk: ChunkFormat.serialize(stoneChunk(-1, 0)) });
+  assert.deepStrictEqual(await next(bob, 'block'), { type: 'block', x: -11, y: 60, z: 4, value: 9, key: '-1,0' });
+
+  // Bob still saw air there, so his edit loses and he is told what the block is
+  send(bob, { type: 'setBlock', x: -11, y: 60, z: 4, value: STONE, previous: 0 });
+  assert.strictEqual((await next(bob, 'block')).value, 9, 'a conflicting edit gets the actual value back');
+  send(bob, { type: 'setBlock', x: -11, y: 59, z: 4, value: 0, previous: STONE });
+  assert.deepStrictEqual(await next(alice, 'block'), { type: 'block', x: -11, y: 59, z: 4, value: 0, key: '-1,0' });
+  assert.ok(!alice.messages.some(message => message.type === 'block'), 'the rejected edit is not broadcast');
+
+  // Both edits are in the streamed chunk
+  send(bob, { type: 'getChunk', key: '-1,0' });
+  const streamed = await next(bob, 'chunk');
+  const held = ChunkFormat.deserialize(streamed.chunk, -1, 0, WORLD.chunkSize, WORLD.chunkHeight);
+  assert.strictEqual(ChunkFormat.get(held, 5, 60, 4), 9);
+  assert.strictEqual(ChunkFormat.get(held, 5, 59, 4), 0);
+  assert.strictEqual(ChunkFormat.get(held, 5, 58, 4), STONE);
+  send(bob, { type: 'getChunk', key: '9,9' });
+  assert.strictEqual((await next(bob, 'chunk')).chunk, null, 'chunks nobody edited are not held');
+
+  send(bob, { type: 'move', position: { x: 1.5, y: 64, z: -3 }, yaw: 1.25, pitch: 0.5 });
+  assert.deepStrictEqual(await next(alice, 'move'), { type: 'move', id: bobWelcome.id, position: { x: 1.5, y: 64, z: -3 }, yaw: 1.25, pitch: 0.5 });
+
+  // Edits and moves the server refuses, including first edits whose chunk holds blocks nobody could place
+  const stone = ChunkFormat.serialize(stoneChunk(2, 0));
+  const firstEdit = (chunk, previous = 0) => ({ type: 'setBlock', x: 40, y: 60, z: 4, value: STONE, previous, chunk });
+  const refused = [
+    [firstEdit({ ...stone, palette: [0, 77] }), /not registered/],
+    [firstEdit({ ...stone, palette: [0, 'stone'] }), /out of range/],
+    [firstEdit({ ...stone, palette: [STONE, 0] }), /first palette entry must be air/],
+    [firstEdit({ ...stone, palette: [0] }), /outside the palette/],
+    [firstEdit(stone, STONE), /previous block/],
+    [{ type: 'setBlock', x: -11, y: 61, z: 4, value: -1, previous: 0 }, /out of range/],
+    [{ type: 'setBlock', x: -11, y: 61, z: 4, value: 1 << 20, previous: 0 }, /out of range/],
+    [{ type: 'setBlock', x: -11, y: 61, z: 4, value: 77, previous: 0 }, /not registered/],
+    [{ type: 'setBlock', x: -11, y: 999, z: 4, value: STONE, previous: 0 }, /outside the world/],
+    [{ type: 'move', position: { x: 1, y: null, z: 2 } }, /finite/],
+    [{ type: 'move', position: 'here' }, /finite/]
+  ];
+  for (const [message, pattern] of refused) {
+    send(bob, message);
+    assert.match((await next(bob, 'error')).message, pattern);
+  }
+  assert.ok(!alice.messages.some(message => message.type === 'block' || message.type === 'move'), 'refused messages are not broadcast');
+  send(bob, { type: 'getChunk', key: '2,0' });
+  assert.strictEqual((await next(bob, 'chunk')).chunk, null, 'refused chunks are not held');
+
+  bob.socket.end();
+  assert.strictEqual((await next(alice, 'leave')).id, bobWelcome.id);
+  alice.socket.end();
+}
+
+(async () => {
+  const { dir, port, child } = await startServer();
+  try {
+    await run(port);
+    console.log('Multiplayer test passed');
+  } catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+  } finally {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+})();